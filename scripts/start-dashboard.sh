@@ -27,8 +27,8 @@ if [ ! -f "public/dashboard.html" ]; then
 fi
 
 echo "🚀 Starting dashboard server..."
-echo "📊 Dashboard will be available at: http://localhost:8080"
+echo "📊 Dashboard will be available at: http://localhost:${DASHBOARD_PORT:-8080}"
 echo "🛑 Press Ctrl+C to stop the server"
 echo ""
 
-node src/dashboard-server.js 
\ No newline at end of file
+node src/dashboard-server.js "$@" 
\ No newline at end of file
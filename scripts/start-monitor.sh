@@ -22,8 +22,8 @@ if [ ! -f "src/comprehensive-monitor.js" ]; then
 fi
 
 echo "🚀 Starting console monitor..."
-echo "📡 Connecting to Redis: 100.70.127.124:6380"
+echo "📡 Connecting to Redis: ${REDIS_URL:-redis://100.70.127.124:6380}"
 echo "🛑 Press Ctrl+C to stop monitoring"
 echo ""
 
-node src/comprehensive-monitor.js 
\ No newline at end of file
+node src/comprehensive-monitor.js "$@" 
\ No newline at end of file
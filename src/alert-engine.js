@@ -0,0 +1,375 @@
+/**
+ * 🚨 ALERT ENGINE
+ * Evaluates declarative threshold rules against node health, orderbooks and
+ * system totals, and tracks each alert through pending → firing → resolved.
+ *
+ * Rule shape:
+ *   {
+ *     name: 'HighCpu',
+ *     scope: 'node' | 'market' | 'book' | 'event' | 'system',
+ *     metric: 'cpuUsage',         // see METRICS below for derived metrics
+ *     op: '>' | '>=' | '<' | '<=',
+ *     value: 90,
+ *     forSeconds: 120,            // condition must hold this long before firing
+ *     clearValue: 85,             // hysteresis: stays firing until past this value
+ *     clearForSeconds: 30,        // ...for this long
+ *     severity: 'critical',
+ *     match: { role: 'master' }   // optional label filter (string or array values)
+ *   }
+ */
+
+const { EventEmitter } = require('events');
+const { analyzeOrderbook, DEFAULT_DEPTH_CENTS } = require('./shared/market-analytics');
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+// Derived metrics; any other node metric is read straight from the health payload
+const METRICS = {
+    node: {
+        silentSeconds: ({ health, now }) => (now - health.lastUpdate) / 1000,
+        unhealthy: ({ health }) => (health.isHealthy ? 0 : 1),
+        // Cached books vs the node's own activeMarkets count
+        marketCountMismatch: ({ health, cachedMarkets }) =>
+            (Number.isFinite(health.activeMarkets) && cachedMarkets !== undefined ? Math.abs(cachedMarkets - health.activeMarkets) : null)
+    },
+    market: {
+        bestBid: ({ market }) => market.bestBid,
+        bestAsk: ({ market }) => market.bestAsk,
+        totalOrders: ({ market }) => market.totalOrders,
+        ageSeconds: ({ orderbook, now }) => (now - orderbook.lastUpdate) / 1000,
+        // See src/shared/market-analytics.js; a 0¢ bid is a quote, only a missing side has no spread
+        spread: ({ analysis }) => analysis.spread,
+        mid: ({ analysis }) => analysis.mid,
+        microprice: ({ analysis }) => analysis.microprice,
+        bidDepth: ({ analysis }) => analysis.bidDepth,
+        askDepth: ({ analysis }) => analysis.askDepth,
+        imbalance: ({ analysis }) => analysis.imbalance,
+        notional: ({ analysis }) => analysis.notional
+    },
+    // Both legs of one node's book for an event
+    book: {
+        bidSum: ({ complement }) => complement.bidSum,
+        askSum: ({ complement }) => complement.askSum,
+        // Cents on offer by selling both bids or buying both asks; > 0 is an arbitrage
+        arbitrageEdge: ({ complement }) =>
+            (complement.bidEdge === null && complement.askEdge === null ? null : Math.max(complement.bidEdge ?? -Infinity, complement.askEdge ?? -Infinity)),
+        notional: ({ analysis }) => analysis.notional
+    },
+    // One subject per event across nodes, see src/market-ownership.js
+    event: {
+        owners: ({ event }) => event.owners.length,
+        duplicateOwners: ({ event }) => event.duplicateOwners,
+        staleCopies: ({ event }) => event.staleCopies
+    },
+    system: {
+        totalMarkets: ({ system }) => system.totalMarkets,
+        totalMarketsChange: ({ system }) => system.totalMarketsChange,
+        activeMarkets: ({ system }) => system.activeMarkets,
+        totalNodes: ({ system }) => system.totalNodes,
+        healthyNodes: ({ system }) => system.healthyNodes,
+        upstreamDownSeconds: ({ system }) => system.upstreamDownSeconds,
+        // Distinct cached events vs market discovery's totalMarkets
+        marketTotalMismatch: ({ system }) =>
+            (system.totalMarkets > 0 ? Math.abs(system.cachedEvents - system.totalMarkets) : null)
+    }
+};
+
+const DEFAULT_RULES = [
+    { name: 'HighCpu', scope: 'node', metric: 'cpuUsage', op: '>', value: 90, forSeconds: 120, clearValue: 85, severity: 'critical' },
+    { name: 'LowDiskSpace', scope: 'node', metric: 'freeDiskSpaceMB', op: '<', value: 5000, clearValue: 6000, severity: 'warning' },
+    { name: 'NodeSilent', scope: 'node', metric: 'silentSeconds', op: '>', value: 60, severity: 'critical' },
+    { name: 'WideSpread', scope: 'market', metric: 'spread', op: '>', value: 10, forSeconds: 30, severity: 'warning' },
+    { name: 'MarketCountDrop', scope: 'system', metric: 'totalMarketsChange', op: '<', value: 0, severity: 'warning' },
+    { name: 'DuplicateMarketOwner', scope: 'event', metric: 'duplicateOwners', op: '>', value: 1, forSeconds: 15, severity: 'critical' },
+    { name: 'StaleMarketCopy', scope: 'event', metric: 'staleCopies', op: '>', value: 0, forSeconds: 60, severity: 'warning' },
+    { name: 'MarketCountMismatch', scope: 'node', metric: 'marketCountMismatch', op: '>', value: 0, forSeconds: 60, severity: 'warning' },
+    { name: 'MarketTotalMismatch', scope: 'system', metric: 'marketTotalMismatch', op: '>', value: 0, forSeconds: 60, severity: 'warning' },
+    { name: 'RedisDown', scope: 'system', metric: 'upstreamDownSeconds', op: '>', value: 30, severity: 'critical' }
+];
+
+// Callers hand in Dates or epoch ms; alert times and durations are kept in ms
+function epochMs(time) {
+    return time instanceof Date ? time.getTime() : time;
+}
+
+function validateRule(rule) {
+    const problems = [];
+    if (!rule.name) problems.push('missing name');
+    if (!METRICS[rule.scope]) problems.push(`unknown scope "${rule.scope}"`);
+    if (!rule.metric) problems.push('missing metric');
+    if (!OPERATORS[rule.op]) problems.push(`unknown op "${rule.op}"`);
+    if (typeof rule.value !== 'number') problems.push('value must be a number');
+    if (problems.length > 0) {
+        throw new Error(`Invalid alert rule ${rule.name || JSON.stringify(rule)}: ${problems.join(', ')}`);
+    }
+
+    return {
+        forSeconds: 0,
+        clearForSeconds: 0,
+        clearValue: rule.value,
+        severity: 'warning',
+        match: null,
+        ...rule
+    };
+}
+
+class AlertEngine extends EventEmitter {
+    /**
+     * @param {object[]} rules
+     * @param {object} [options]
+     * @param {number} [options.resolvedRetention] - how many resolved alerts to remember
+     * @param {number} [options.depthCents] - depth window for the bidDepth/askDepth/imbalance metrics
+     */
+    constructor(rules = DEFAULT_RULES, { resolvedRetention = 50, depthCents = DEFAULT_DEPTH_CENTS } = {}) {
+        super();
+        this.rules = rules.map(validateRule);
+        this.resolvedRetention = resolvedRetention;
+        this.depthCents = depthCents;
+
+        this.active = new Map();     // alert id -> alert (pending or firing)
+        this.resolved = [];          // most recent first
+    }
+
+    // ---- Evaluation entry points ---------------------------------------------
+
+    /**
+     * @param {number} [cachedMarkets] - books cached for the node, for marketCountMismatch
+     */
+    evaluateNode(nodeId, health, now = Date.now(), cachedMarkets = undefined) {
+        now = epochMs(now);
+        const labels = { nodeId, role: health.role };
+        this.evaluateScope('node', `node:${nodeId}`, labels, { health, cachedMarkets, now }, now);
+    }
+
+    evaluateMarket(nodeId, eventId, orderbook, now = Date.now()) {
+        now = epochMs(now);
+        const analysis = analyzeOrderbook(orderbook, { depthCents: this.depthCents });
+        for (const leg of ['marketA', 'marketB']) {
+            const market = orderbook[leg];
+            if (!market) continue;
+            const labels = { nodeId, eventId, marketId: market.marketId };
+            // Per node, like book:, so one node's copy can't mask or resolve another's
+            this.evaluateScope('market', `market:${nodeId}:${eventId}:${market.marketId}`, labels,
+                { orderbook, market, analysis: analysis[leg], now }, now);
+        }
+        this.evaluateScope('book', `book:${nodeId}:${eventId}`, { nodeId, eventId },
+            { orderbook, analysis, complement: analysis.complement, now }, now);
+    }
+
+    /**
+     * @param {object} event - MarketOwnership.describe() output
+     */
+    evaluateEvent(event, now = Date.now()) {
+        now = epochMs(now);
+        // Not nodeId: that would be a list no node filter or route could match
+        const labels = { eventId: event.eventId, owners: event.owners.map(owner => owner.nodeId).join(',') };
+        this.evaluateScope('event', `event:${event.eventId}`, labels, { event, now }, now);
+    }
+
+    evaluateSystem(system, now = Date.now()) {
+        now = epochMs(now);
+        this.evaluateScope('system', 'system', {}, { system, now }, now);
+    }
+
+    /**
+     * Full pass over the current state. Catches time-based conditions when no
+     * messages arrive and resolves alerts whose subject has disappeared.
+     * @param {object} state
+     * @param {Map} state.healthData
+     * @param {Map} state.orderbooksByNode
+     * @param {object[]} [state.events] - MarketOwnership.describeAll() output
+     * @param {object} state.system
+     */
+    sweep({ healthData, orderbooksByNode, events = [], system }, now = Date.now()) {
+        now = epochMs(now);
+        const seen = new Set();
+
+        for (const [nodeId, health] of healthData) {
+            seen.add(`node:${nodeId}`);
+            const books = orderbooksByNode.get(nodeId);
+            this.evaluateNode(nodeId, health, now, books ? books.size : 0);
+        }
+        for (const [nodeId, nodeOrderbooks] of orderbooksByNode) {
+            for (const [eventId, orderbook] of nodeOrderbooks) {
+                for (const market of [orderbook.marketA, orderbook.marketB]) {
+                    if (market) seen.add(`market:${nodeId}:${eventId}:${market.marketId}`);
+                }
+                seen.add(`book:${nodeId}:${eventId}`);
+                this.evaluateMarket(nodeId, eventId, orderbook, now);
+            }
+        }
+        for (const event of events) {
+            seen.add(`event:${event.eventId}`);
+            this.evaluateEvent(event, now);
+        }
+        seen.add('system');
+        this.evaluateSystem(system, now);
+
+        for (const alert of Array.from(this.active.values())) {
+            if (!seen.has(alert.subject)) {
+                this.resolve(alert, now, 'subject no longer reported');
+            }
+        }
+    }
+
+    /**
+     * Forget every alert without emitting anything, e.g. when the data they
+     * were raised on turns out not to be real.
+     */
+    clear() {
+        this.active.clear();
+        this.resolved = [];
+    }
+
+    // ---- Lifecycle -----------------------------------------------------------
+
+    evaluateScope(scope, subject, labels, context, now) {
+        for (const rule of this.rules) {
+            if (rule.scope !== scope || !this.matches(rule, labels)) continue;
+
+            const raw = this.readMetric(rule, context);
+            const value = Number(raw);
+            if (raw === null || raw === undefined || !Number.isFinite(value)) {
+                continue;
+            }
+
+            const id = `${rule.name}:${subject}`;
+            const alert = this.active.get(id);
+
+            if (!alert) {
+                if (OPERATORS[rule.op](value, rule.value)) {
+                    this.open(rule, id, subject, labels, value, now);
+                }
+            } else {
+                this.advance(rule, alert, value, now);
+            }
+        }
+    }
+
+    matches(rule, labels) {
+        if (!rule.match) return true;
+        return Object.entries(rule.match).every(([key, expected]) => {
+            const allowed = Array.isArray(expected) ? expected : [expected];
+            return allowed.includes(labels[key]);
+        });
+    }
+
+    readMetric(rule, context) {
+        const derived = METRICS[rule.scope][rule.metric];
+        if (derived) return derived(context);
+        if (rule.scope === 'node') return context.health[rule.metric];
+        return null;
+    }
+
+    open(rule, id, subject, labels, value, now) {
+        const alert = {
+            id,
+            rule: rule.name,
+            severity: rule.severity,
+            subject,
+            labels,
+            metric: rule.metric,
+            op: rule.op,
+            threshold: rule.value,
+            value,
+            state: 'pending',
+            startsAt: now,
+            firedAt: null,
+            resolvedAt: null,
+            clearingSince: null,
+            updatedAt: now
+        };
+        this.active.set(id, alert);
+
+        if (rule.forSeconds <= 0) {
+            this.fire(alert, now);
+        } else {
+            this.emitChange(alert);
+        }
+    }
+
+    advance(rule, alert, value, now) {
+        alert.value = value;
+        alert.updatedAt = now;
+
+        if (alert.state === 'pending') {
+            if (!OPERATORS[rule.op](value, rule.value)) {
+                // Never fired; drop quietly back to inactive
+                this.active.delete(alert.id);
+                alert.state = 'inactive';
+                this.emitChange(alert);
+            } else if (now - alert.startsAt >= rule.forSeconds * 1000) {
+                this.fire(alert, now);
+            }
+            return;
+        }
+
+        // Firing: hold until the value is past clearValue for clearForSeconds
+        if (OPERATORS[rule.op](value, rule.clearValue)) {
+            alert.clearingSince = null;
+        } else {
+            if (alert.clearingSince === null) alert.clearingSince = now;
+            if (now - alert.clearingSince >= rule.clearForSeconds * 1000) {
+                this.resolve(alert, now);
+            }
+        }
+    }
+
+    fire(alert, now) {
+        alert.state = 'firing';
+        alert.firedAt = now;
+        alert.updatedAt = now;
+        this.emitChange(alert);
+    }
+
+    resolve(alert, now, reason = null) {
+        this.active.delete(alert.id);
+        alert.updatedAt = now;
+
+        if (alert.state === 'pending') {
+            alert.state = 'inactive';
+            this.emitChange(alert);
+            return;
+        }
+
+        alert.state = 'resolved';
+        alert.resolvedAt = now;
+        alert.reason = reason;
+
+        this.resolved.unshift(alert);
+        this.resolved.length = Math.min(this.resolved.length, this.resolvedRetention);
+        this.emitChange(alert);
+    }
+
+    emitChange(alert) {
+        this.emit('alert', this.toJSON(alert));
+    }
+
+    // ---- Queries -------------------------------------------------------------
+
+    toJSON(alert) {
+        const { clearingSince, ...rest } = alert;
+        return {
+            ...rest,
+            summary: `${alert.rule}: ${alert.metric} ${alert.op} ${alert.threshold} (now ${Number(alert.value).toFixed(2)})`,
+            startsAt: new Date(alert.startsAt).toISOString(),
+            firedAt: alert.firedAt && new Date(alert.firedAt).toISOString(),
+            resolvedAt: alert.resolvedAt && new Date(alert.resolvedAt).toISOString(),
+            updatedAt: new Date(alert.updatedAt).toISOString()
+        };
+    }
+
+    /**
+     * Pending and firing alerts, then recently resolved ones.
+     */
+    list() {
+        return [...this.active.values(), ...this.resolved].map(alert => this.toJSON(alert));
+    }
+}
+
+module.exports = { AlertEngine, DEFAULT_RULES, METRICS };
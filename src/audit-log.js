@@ -0,0 +1,37 @@
+/**
+ * 📝 AUDIT LOG
+ * Append-only record of logins, logouts and rejected access, one JSON
+ * object per line. Always echoed to the console; written to a file when
+ * one is configured.
+ */
+
+const fs = require('fs');
+
+class AuditLog {
+    /**
+     * @param {string|null} filePath - JSON-lines file, or null for console only
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * @param {string} event - e.g. login, login_failed, token_rejected, forbidden
+     * @param {object} details - who/where: user, role, ip, path, reason
+     */
+    record(event, details = {}) {
+        const entry = { time: new Date().toISOString(), event, ...details };
+        const failed = event !== 'login' && event !== 'logout';
+        console.log(`${failed ? '🚫' : '🔑'} ${event}: ${Object.entries(details).map(([key, value]) => `${key}=${value}`).join(' ')}`);
+
+        if (!this.filePath) return;
+        // Synchronous so entries aren't lost on shutdown; these events are rare
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('❌ Failed to write audit log:', error.message);
+        }
+    }
+}
+
+module.exports = AuditLog;
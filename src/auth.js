@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * 🔐 AUTHENTICATION
+ * Who is asking, and what they may see. A request is identified by, in order:
+ * an `Authorization: Bearer <token>` header, a `?token=` query parameter
+ * (for WebSocket clients that can't set headers), or a signed session cookie
+ * issued by POST /login.
+ *
+ * Users file (auth.usersFile), re-read whenever it changes:
+ *   {
+ *     "users":  [{ "username": "alice", "passwordHash": "scrypt$16384$8$1$<salt>$<hash>", "role": "trader" }],
+ *     "tokens": [{ "name": "grafana", "sha256": "<hex digest of the token>", "role": "ops" }]
+ *   }
+ * Generate entries with `node src/auth.js hash-password <password>` and
+ * `node src/auth.js new-token`.
+ *
+ * Failed logins are throttled per IP address and per username: after
+ * auth.loginMaxFailures in a row, further attempts are turned away for
+ * auth.loginLockoutSeconds, doubling with each failure after that up to
+ * auth.loginMaxLockoutSeconds. Passwords are checked off the event loop.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PERMISSIONS = ['health', 'orderbooks', 'alerts', 'admin'];
+
+// WebSocket message types and the permission needed to receive them; unlisted types go to everyone
+const MESSAGE_PERMISSIONS = {
+    health_update: 'health',
+    health_history: 'health',
+    node_state: 'health',
+    node_states: 'health',
+    orderbook_update: 'orderbooks',
+    orderbook_snapshot: 'orderbooks',
+    orderbook_delta: 'orderbooks',
+    market_status: 'orderbooks',
+    market_statuses: 'orderbooks',
+    market_removed: 'orderbooks',
+    market_discovery: 'orderbooks',
+    market_consistency: 'orderbooks',
+    alert: 'alerts',
+    alerts_snapshot: 'alerts',
+    event_log: 'admin'
+};
+
+const COOKIE_NAME = 'dashboard_session';
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const MAX_LOGIN_BODY = 10 * 1024;
+// Failure counters kept for throttling; the oldest go first beyond this
+const MAX_LOGIN_FAILURES_TRACKED = 10000;
+
+const ANONYMOUS = { name: 'anonymous', role: null, via: 'none', expires: null, permissions: new Set(PERMISSIONS) };
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keyLength } = SCRYPT;
+    const hash = crypto.scryptSync(password, salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @returns {Promise<boolean>} rejects when `stored` has scrypt parameters scrypt refuses
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    if (expected.length === 0) return false;
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const eq = part.indexOf('=');
+        if (eq === -1) continue;
+        try {
+            cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+        } catch (error) {
+            // Malformed escapes: ignore that cookie
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Only same-site relative paths, so ?next= can't bounce users elsewhere.
+ * Browsers read `/\host` like `//host`, so backslashes and control
+ * characters are refused outright, and the path must still resolve to this
+ * server once parsed.
+ */
+function safeRedirect(target) {
+    if (typeof target !== 'string' || !target.startsWith('/') || /[\\\x00-\x1f\x7f]/.test(target)) return '/';
+
+    const base = 'http://dashboard.invalid';
+    let url;
+    try {
+        url = new URL(target, base);
+    } catch (error) {
+        return '/';
+    }
+    return url.origin === base ? url.pathname + url.search + url.hash : '/';
+}
+
+class Auth {
+    /**
+     * @param {object} options - the `auth` config section
+     * @param {AuditLog} audit
+     */
+    constructor(options, audit) {
+        this.options = options;
+        this.audit = audit;
+        this.users = new Map();     // username -> { username, passwordHash, role }
+        this.tokens = new Map();    // sha256 -> { name, role }
+        this.usersFileMtime = null;
+        this.loginFailures = new Map(); // 'ip:<address>' or 'user:<name>' -> { count, lockedUntil }
+
+        this.secret = options.sessionSecret;
+        if (options.enabled && !this.secret) {
+            console.log('⚠️  No auth.sessionSecret set; sessions will not survive a restart');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+        if (options.enabled && !options.usersFile) {
+            console.log('⚠️  Auth is enabled but auth.usersFile is not set; nobody can log in');
+        }
+        if (options.enabled) {
+            this.reloadUsers();
+            // Checked against for unknown usernames, so response time doesn't reveal which names exist
+            this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+        }
+    }
+
+    get enabled() {
+        return this.options.enabled;
+    }
+
+    /**
+     * Re-read the users file if it changed; keep the previous copy if it's unreadable.
+     */
+    reloadUsers() {
+        const { usersFile } = this.options;
+        if (!usersFile) return;
+
+        try {
+            const { mtimeMs } = fs.statSync(usersFile);
+            if (mtimeMs === this.usersFileMtime) return;
+
+            const data = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+            this.users = new Map((data.users || []).map(user => [user.username, user]));
+            this.tokens = new Map((data.tokens || []).map(token => [token.sha256, token]));
+            this.usersFileMtime = mtimeMs;
+            console.log(`🔐 Loaded ${this.users.size} users and ${this.tokens.size} API tokens from ${usersFile}`);
+        } catch (error) {
+            console.error(`❌ Failed to load users file ${usersFile}:`, error.message);
+        }
+    }
+
+    /**
+     * @param {number|null} expires - epoch ms when a session ends; null for tokens
+     */
+    identity(name, role, via, expires = null) {
+        return { name, role, via, expires, permissions: new Set(this.options.roles[role] || []) };
+    }
+
+    /**
+     * @returns {{identity: object}|{error: string}}
+     */
+    authenticate(req) {
+        if (!this.enabled) return { identity: ANONYMOUS };
+        this.reloadUsers();
+
+        const ip = req.socket.remoteAddress;
+        const path = req.url.split('?')[0];
+        const authorization = req.headers.authorization || '';
+        const token = authorization.startsWith('Bearer ')
+            ? authorization.slice('Bearer '.length).trim()
+            : new URL(req.url, 'http://localhost').searchParams.get('token');
+
+        if (token) {
+            const entry = this.tokens.get(sha256(token));
+            if (!entry) {
+                this.audit.record('token_rejected', { ip, path });
+                return { error: 'Invalid API token' };
+            }
+            return { identity: this.identity(entry.name, entry.role, 'token') };
+        }
+
+        const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (!cookie) {
+            return { error: 'Login required' };
+        }
+
+        const session = this.verifySession(cookie);
+        const user = session && this.users.get(session.user);
+        if (!user) {
+            this.audit.record('session_rejected', { ip, path, reason: session ? 'unknown user' : 'bad or expired cookie' });
+            return { error: 'Session expired' };
+        }
+        return { identity: this.identity(user.username, user.role, 'session', session.expires) };
+    }
+
+    /**
+     * Whether a WebSocket upgrade comes from the dashboard's own origin.
+     * Browsers send the session cookie along with upgrades started by any
+     * same-site page (another port or subdomain), but always say where the
+     * page came from in `Origin`; clients that send none aren't browsers.
+     * Other origins serving the page are listed in auth.allowedOrigins.
+     */
+    checkOrigin(req) {
+        const { origin } = req.headers;
+        if (!origin || this.options.allowedOrigins.includes(origin)) return true;
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @returns {boolean} whether `identity` may receive WebSocket messages of `type`
+     */
+    canReceive(identity, type) {
+        const permission = MESSAGE_PERMISSIONS[type];
+        return !permission || identity.permissions.has(permission);
+    }
+
+    createSession(username) {
+        const payload = Buffer.from(JSON.stringify({
+            user: username,
+            expires: Date.now() + this.options.sessionTtlSeconds * 1000
+        })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifySession(value) {
+        const [payload, signature] = value.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return session.expires > Date.now() ? session : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    cookie(value, maxAgeSeconds) {
+        return [
+            `${COOKIE_NAME}=${value}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Lax',
+            `Max-Age=${maxAgeSeconds}`,
+            ...(this.options.secureCookies ? ['Secure'] : [])
+        ].join('; ');
+    }
+
+    /**
+     * @returns {number} seconds until `keys` may try again, 0 if they may now
+     */
+    loginLockout(keys, now = Date.now()) {
+        let until = 0;
+        for (const key of keys) {
+            const entry = this.loginFailures.get(key);
+            if (entry) until = Math.max(until, entry.lockedUntil);
+        }
+        return Math.max(0, Math.ceil((until - now) / 1000));
+    }
+
+    recordLoginFailure(keys, now = Date.now()) {
+        const { loginMaxFailures, loginLockoutSeconds, loginMaxLockoutSeconds } = this.options;
+        for (const key of keys) {
+            const entry = this.loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+            entry.count++;
+            if (entry.count >= loginMaxFailures) {
+                const seconds = Math.min(loginMaxLockoutSeconds, loginLockoutSeconds * 2 ** (entry.count - loginMaxFailures));
+                entry.lockedUntil = now + seconds * 1000;
+            }
+            // Re-inserted so the Map stays in order of last failure
+            this.loginFailures.delete(key);
+            this.loginFailures.set(key, entry);
+        }
+        while (this.loginFailures.size > MAX_LOGIN_FAILURES_TRACKED) {
+            this.loginFailures.delete(this.loginFailures.keys().next().value);
+        }
+    }
+
+    /**
+     * POST /login with a form-encoded username, password and optional next.
+     */
+    handleLogin(req, res) {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_LOGIN_BODY) req.destroy();
+        });
+        req.on('end', () => {
+            this.login(body, req, res).catch((error) => {
+                console.error('❌ Login failed with an error:', error.message);
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Internal Server Error');
+            });
+        });
+    }
+
+    async login(body, req, res) {
+        const form = new URLSearchParams(body);
+        const username = form.get('username') || '';
+        const next = safeRedirect(form.get('next'));
+        const ip = req.socket.remoteAddress;
+        const keys = [`ip:${ip}`, `user:${username}`];
+
+        // Turned away before any hashing, so guessing costs the server nothing
+        const retryAfter = this.loginLockout(keys);
+        if (retryAfter > 0) {
+            this.audit.record('login_throttled', { user: username, ip, retryAfter });
+            res.writeHead(303, { Location: `/login?error=throttled&retry=${retryAfter}&next=${encodeURIComponent(next)}` });
+            res.end();
+            return;
+        }
+
+        this.reloadUsers();
+        const user = this.users.get(username);
+        let valid;
+        try {
+            valid = await verifyPassword(form.get('password') || '', user ? user.passwordHash : this.dummyHash) && !!user;
+        } catch (error) {
+            // A malformed hash in the users file; nobody can log in as that user until it's fixed
+            console.error(`❌ Cannot check the password of ${username}:`, error.message);
+            valid = false;
+        }
+
+        if (!valid) {
+            this.recordLoginFailure(keys);
+            this.audit.record('login_failed', { user: username, ip });
+            res.writeHead(303, { Location: `/login?error=1&next=${encodeURIComponent(next)}` });
+            res.end();
+            return;
+        }
+
+        // The IP count is left to expire, so signing in to one account doesn't reset guessing at others
+        this.loginFailures.delete(`user:${username}`);
+        this.audit.record('login', { user: username, role: user.role, ip });
+        res.writeHead(303, {
+            Location: next,
+            'Set-Cookie': this.cookie(this.createSession(username), this.options.sessionTtlSeconds)
+        });
+        res.end();
+    }
+
+    /**
+     * Sessions are stateless, so logging out only clears the cookie.
+     */
+    handleLogout(req, res) {
+        const result = this.authenticate(req);
+        if (result.identity) {
+            this.audit.record('logout', { user: result.identity.name, ip: req.socket.remoteAddress });
+        }
+        res.writeHead(303, { Location: '/login', 'Set-Cookie': this.cookie('', 0) });
+        res.end();
+    }
+}
+
+module.exports = { Auth, PERMISSIONS, MESSAGE_PERMISSIONS, hashPassword, verifyPassword, sha256, safeRedirect };
+
+// Helpers for filling in the users file
+if (require.main === module) {
+    const [command, value] = process.argv.slice(2);
+
+    if (command === 'hash-password' && value) {
+        console.log(hashPassword(value));
+    } else if (command === 'new-token') {
+        const token = crypto.randomBytes(24).toString('base64url');
+        console.log(`token:  ${token}`);
+        console.log(`sha256: ${sha256(token)}`);
+    } else {
+        console.error('Usage: node src/auth.js hash-password <password> | new-token');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * 🚦 CLIENT CONNECTION
+ * One WebSocket client: its subscription and an outbound queue that keeps a
+ * slow browser from growing server memory without bound.
+ *
+ * Messages with a coalescing key (latest health per node, latest book per
+ * event) replace any queued message with the same key, so a backed-up client
+ * only ever holds one pending update per node/book. Sending is paced by a
+ * token bucket (maxMessagesPerSecond) and pauses while the socket's own
+ * buffer is above maxBufferedBytes. The owner disconnects clients whose
+ * queue grows past maxQueueLength or whose oldest message is older than
+ * maxLagSeconds.
+ */
+
+const WebSocket = require('ws');
+
+class ClientConnection {
+    /**
+     * @param {WebSocket} ws
+     * @param {ClientSubscription} subscription
+     * @param {object} identity - who authenticated the upgrade (see src/auth.js)
+     * @param {Auth} auth
+     * @param {object} options - the `clients` config section
+     * @param {string} remoteAddress
+     */
+    constructor(ws, subscription, identity, auth, options, remoteAddress) {
+        this.ws = ws;
+        this.subscription = subscription;
+        this.identity = identity;
+        this.auth = auth;
+        this.options = options;
+        this.remoteAddress = remoteAddress;
+        this.connectedAt = new Date();
+        this.isAlive = true;
+
+        this.queue = new Map();     // key -> { message, queuedAt }
+        this.nextId = 0;
+        this.tokens = options.maxMessagesPerSecond;
+        this.lastRefill = Date.now();
+        this.stats = { sent: 0, bytes: 0, coalesced: 0, dropped: 0 };
+    }
+
+    get protocol() {
+        return this.ws.protocol;
+    }
+
+    /**
+     * Allowed for this client's role and wanted by its subscription.
+     * @param {object} scope - { type, nodeId, role, eventId }
+     */
+    accepts(scope) {
+        return (!scope.type || this.auth.canReceive(this.identity, scope.type)) && this.subscription.matches(scope);
+    }
+
+    /**
+     * @param {string|function(): string|null} message - a builder is called at send time
+     * @param {string|null} key - coalescing key; null queues unconditionally
+     * @param {string|function|undefined} replacement - what to queue instead
+     *   when `key` is already pending (defaults to `message`)
+     */
+    enqueue(message, key = null, replacement = undefined) {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            this.stats.dropped++;
+            return;
+        }
+
+        let entry = message;
+        if (key !== null && this.queue.has(key)) {
+            // Re-insert at the tail so it stays behind anything queued since
+            this.queue.delete(key);
+            this.stats.coalesced++;
+            if (replacement !== undefined) entry = replacement;
+        }
+        this.queue.set(key !== null ? key : `#${this.nextId++}`, { message: entry, queuedAt: Date.now() });
+
+        this.flush();
+    }
+
+    /**
+     * Send as much of the queue as the rate limit and socket buffer allow.
+     */
+    flush(now = Date.now()) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+
+        const { maxMessagesPerSecond, maxBufferedBytes } = this.options;
+        this.tokens = Math.min(maxMessagesPerSecond, this.tokens + (now - this.lastRefill) / 1000 * maxMessagesPerSecond);
+        this.lastRefill = now;
+
+        for (const [key, entry] of this.queue) {
+            if (this.tokens < 1 || this.ws.bufferedAmount >= maxBufferedBytes) break;
+
+            this.queue.delete(key);
+            const message = typeof entry.message === 'function' ? entry.message() : entry.message;
+            if (message === null) continue;
+
+            this.ws.send(message);
+            this.tokens--;
+            this.stats.sent++;
+            this.stats.bytes += Buffer.byteLength(message);
+        }
+    }
+
+    /**
+     * @returns {string|null} why the client should be disconnected, if it should
+     */
+    checkLag(now = Date.now()) {
+        const { maxQueueLength, maxLagSeconds } = this.options;
+        if (this.queue.size > maxQueueLength) {
+            return `queue over ${maxQueueLength} messages`;
+        }
+
+        const oldest = this.queue.values().next().value;
+        if (oldest && now - oldest.queuedAt > maxLagSeconds * 1000) {
+            return `over ${maxLagSeconds}s behind`;
+        }
+        return null;
+    }
+
+    /**
+     * Discard whatever is still queued (the socket is going away).
+     */
+    discard() {
+        this.stats.dropped += this.queue.size;
+        this.queue.clear();
+    }
+
+    describe() {
+        return {
+            remoteAddress: this.remoteAddress,
+            user: this.identity.name,
+            role: this.identity.role,
+            protocol: this.protocol || null,
+            connectedAt: this.connectedAt.toISOString(),
+            filters: this.subscription.toJSON(),
+            queued: this.queue.size,
+            bufferedBytes: this.ws.bufferedAmount,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ClientConnection;
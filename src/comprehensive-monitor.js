@@ -6,31 +6,66 @@
  */
 
 const redis = require('redis');
+const { loadConfig, buildRedisOptions, describeRedisUrl, channelSuffix, channelFor, roleResolverOptions } = require('./config');
+const { createRoleResolver } = require('./shared/node-roles');
+const { evaluateNodeHealth } = require('./shared/node-health');
+const { analyzeOrderbook } = require('./shared/market-analytics');
+const { StateBootstrap, FeedHandoff, healthKey, orderbookKeyOf } = require('./state-bootstrap');
+const { FeedReplay, routeFeedMessage } = require('./feed-replay');
+const { FeedValidator } = require('./feed-validator');
+const { MarketOwnership } = require('./market-ownership');
+
+function formatCents(value) {
+    return value === null ? '—' : `${Number(value.toFixed(2))}¢`;
+}
+
+function formatImbalance(value) {
+    return value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+function formatDollars(value) {
+    return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
 
 class ComprehensiveMonitor {
-    constructor() {
+    constructor(config) {
+        this.config = config;
+        this.roles = createRoleResolver(roleResolverOptions(config.nodes));
         this.client = null;
         this.subscriber = null;
         
+        // Schema checks on ingest (see src/message-schemas.js)
+        this.validator = new FeedValidator(config.validation);
+        
         // Data storage
         this.healthData = new Map();        // nodeId -> health metrics
         this.orderbooksByNode = new Map();  // nodeId -> Map(eventId -> orderbook data)
         this.marketStatus = new Map();      // eventId -> status info
+        this.ownership = new MarketOwnership(config.markets);
+        
+        // Optional snapshot of the latest state, loaded before going live
+        this.bootstrap = new StateBootstrap(config.bootstrap);
+        this.handoff = new FeedHandoff(config.bootstrap.maxHeld);
+        
+        // Playback of a recording (see src/feed-recorder.js) in place of Redis
+        this.replay = config.replay.path ? new FeedReplay(config.replay) : null;
         
         // Display settings
-        this.displayInterval = 3000;       // Update display every 3 seconds
+        this.displayInterval = config.monitor.displayInterval;  // Update display every few seconds
         this.lastUpdateTime = new Date();
     }
     
     async start() {
         console.log('\n🎯 COMPREHENSIVE MONITORING SYSTEM');
         console.log('===================================');
-        console.log('📡 Connecting to Master Redis: 100.70.127.124:6380\n');
+        if (this.replay) {
+            await this.startReplay();
+            return;
+        }
+        console.log(`📡 Connecting to Master Redis: ${describeRedisUrl(this.config.redis.url)}\n`);
         
         // Create Redis connections (v5+ syntax)
-        this.client = redis.createClient({
-            url: 'redis://100.70.127.124:6380'
-        });
+        this.client = redis.createClient(buildRedisOptions(this.config.redis));
         
         this.client.on('error', (err) => {
             console.error('❌ Redis Error:', err.message);
@@ -44,8 +79,14 @@ class ComprehensiveMonitor {
         await this.subscriber.connect();
         console.log('✅ Subscriber ready');
         
-        // Set up all subscriptions
+        // Set up all subscriptions; with a bootstrap, live messages wait until the snapshot is in
+        if (this.bootstrap.enabled) {
+            this.handoff.hold();
+        }
         await this.setupSubscriptions();
+        if (this.bootstrap.enabled) {
+            await this.runBootstrap();
+        }
         
         // Start real-time display
         this.startDisplay();
@@ -63,43 +104,109 @@ class ComprehensiveMonitor {
     
     async setupSubscriptions() {
         console.log('📡 Setting up subscriptions...');
+        const channels = this.config.channels;
         
         // 1. Subscribe to health metrics from all nodes
-        await this.subscriber.pSubscribe('metrics:*', (message, channel) => {
-            const nodeId = channel.split(':')[1];
-            this.handleHealthUpdate(nodeId, message);
+        await this.subscriber.pSubscribe(channels.metrics, (message, channel) => {
+            const nodeId = channelSuffix(channels.metrics, channel);
+            this.handoff.deliver(() => healthKey(nodeId), message, () => this.handleHealthUpdate(nodeId, message));
         });
-        console.log('💓 ✅ Subscribed to health metrics: metrics:*');
+        console.log(`💓 ✅ Subscribed to health metrics: ${channels.metrics}`);
         
         // 2. Subscribe to consolidated orderbook updates
-        await this.subscriber.subscribe('orderbooks', (message) => {
-            this.handleOrderbookUpdate(message);
+        await this.subscriber.subscribe(channels.orderbooks, (message) => {
+            this.handoff.deliver(() => orderbookKeyOf(message), message, () => this.handleOrderbookUpdate(message));
         });
-        console.log('📊 ✅ Subscribed to orderbook updates: orderbooks');
+        console.log(`📊 ✅ Subscribed to orderbook updates: ${channels.orderbooks}`);
         
         // 3. Subscribe to market status updates (for closures)
-        await this.subscriber.pSubscribe('market_status:*', (message, channel) => {
-            const eventId = channel.split(':')[1];
-            this.handleMarketStatusUpdate(eventId, message);
+        await this.subscriber.pSubscribe(channels.marketStatus, (message, channel) => {
+            const eventId = channelSuffix(channels.marketStatus, channel);
+            this.handoff.deliver(() => null, message, () => this.handleMarketStatusUpdate(eventId, message));
         });
-        console.log('🔄 ✅ Subscribed to market status: market_status:*');
+        console.log(`🔄 ✅ Subscribed to market status: ${channels.marketStatus}`);
         
         // 4. Subscribe to market discovery (for total counts)
-        await this.subscriber.subscribe('market_discovery', (message) => {
-            this.handleMarketDiscovery(message);
+        await this.subscriber.subscribe(channels.marketDiscovery, (message) => {
+            this.handoff.deliver(() => null, message, () => this.handleMarketDiscovery(message));
         });
         console.log('🔍 ✅ Subscribed to market discovery');
         
         console.log('✅ All subscriptions active\n');
     }
     
-    handleHealthUpdate(nodeId, message) {
+    /**
+     * Load the latest health and books from Redis, then replay the live
+     * messages held meanwhile (see src/state-bootstrap.js).
+     */
+    async runBootstrap() {
+        console.log('🧊 Loading latest state from Redis...');
+        let snapshot = { health: [], orderbooks: [], versions: new Map(), skipped: 0 };
+        try {
+            snapshot = await this.bootstrap.load(this.client);
+        } catch (error) {
+            console.error('❌ Bootstrap failed, going live without it:', error.message);
+        }
+        
+        for (const { nodeId, payload, time } of snapshot.health) {
+            this.handleHealthUpdate(nodeId, JSON.stringify(payload), time);
+        }
+        for (const { payload, time } of snapshot.orderbooks) {
+            this.handleOrderbookUpdate(JSON.stringify(payload), time);
+        }
+        const { replayed, superseded } = this.handoff.release(snapshot.versions);
+        console.log(`🧊 Bootstrapped ${snapshot.health.length} nodes and ${snapshot.orderbooks.length} books, ` +
+            `then ${replayed} live messages (${superseded} superseded)\n`);
+    }
+    
+    /**
+     * Play a recording through the same handlers as the live subscriptions:
+     * at the configured speed, or one message per Enter when stepped.
+     */
+    async startReplay() {
+        try {
+            await this.replay.load();
+        } catch (error) {
+            console.error('❌ Cannot replay recording:', error.message);
+            process.exit(1);
+        }
+        
+        this.replay.on('message', (entry) => routeFeedMessage(this, this.config.channels, entry));
+        
+        if (this.config.replay.stepped) {
+            process.stdin.on('data', () => {
+                this.replay.step().then(() => this.displayStatus());
+            });
+        } else {
+            this.replay.play();
+        }
+        
+        this.startDisplay();
+        process.on('SIGINT', () => this.stop());
+    }
+    
+    /**
+     * The wall clock, or the recording time reached while replaying.
+     */
+    feedNow() {
+        return this.replay ? this.replay.now() : Date.now();
+    }
+    
+    /**
+     * @param {Date} receivedAt - when the payload was current; earlier for bootstrapped snapshots
+     */
+    handleHealthUpdate(nodeId, message, receivedAt = new Date()) {
         try {
-            const healthData = JSON.parse(message);
+            const healthData = this.validator.check('metrics', message, {
+                channel: channelFor(this.config.channels.metrics, nodeId),
+                producer: nodeId
+            });
+            if (!healthData) return;
             
             this.healthData.set(nodeId, {
                 ...healthData,
-                lastUpdate: new Date()
+                role: this.roles.resolve(nodeId, healthData),
+                lastUpdate: receivedAt
             });
             
             this.lastUpdateTime = new Date();
@@ -109,11 +216,11 @@ class ComprehensiveMonitor {
         }
     }
     
-    handleOrderbookUpdate(message) {
+    handleOrderbookUpdate(message, receivedAt = new Date()) {
         try {
-            const data = JSON.parse(message);
+            const data = this.validator.check('orderbooks', message, { channel: this.config.channels.orderbooks });
             
-            if (data.type !== 'orderbook_update') return;
+            if (!data || data.type !== 'orderbook_update') return;
             
             const { eventId, nodeId } = data;
             
@@ -125,8 +232,9 @@ class ComprehensiveMonitor {
             // Store orderbook data for this node
             this.orderbooksByNode.get(nodeId).set(eventId, {
                 ...data,
-                lastUpdate: new Date()
+                lastUpdate: receivedAt
             });
+            this.ownership.record(eventId, nodeId, receivedAt.getTime());
             
             this.lastUpdateTime = new Date();
             
@@ -135,13 +243,16 @@ class ComprehensiveMonitor {
         }
     }
     
-    handleMarketStatusUpdate(eventId, message) {
+    handleMarketStatusUpdate(eventId, message, receivedAt = new Date()) {
         try {
-            const statusData = JSON.parse(message);
+            const statusData = this.validator.check('marketStatus', message, {
+                channel: channelFor(this.config.channels.marketStatus, eventId)
+            });
+            if (!statusData) return;
             
             this.marketStatus.set(eventId, {
                 ...statusData,
-                lastUpdate: new Date()
+                lastUpdate: receivedAt
             });
             
             // If market is closed/cleared, remove from all nodes
@@ -155,6 +266,7 @@ class ComprehensiveMonitor {
                         console.log(`   📊 Removed ${eventId} from node ${nodeId}`);
                     }
                 }
+                this.ownership.releaseEvent(eventId);
             }
             
             this.lastUpdateTime = new Date();
@@ -166,7 +278,8 @@ class ComprehensiveMonitor {
     
     handleMarketDiscovery(message) {
         try {
-            const discoveryData = JSON.parse(message);
+            const discoveryData = this.validator.check('marketDiscovery', message, { channel: this.config.channels.marketDiscovery });
+            if (!discoveryData) return;
             // Store for display in summary
             this.totalMarkets = discoveryData.totalMarkets;
             this.lastUpdateTime = new Date();
@@ -193,13 +306,21 @@ class ComprehensiveMonitor {
         
         console.log('🎯 COMPREHENSIVE MONITORING SYSTEM');
         console.log('===================================');
-        console.log(`⏰ ${now.toLocaleTimeString()} | Last Update: ${this.lastUpdateTime.toLocaleTimeString()}\n`);
+        console.log(`⏰ ${now.toLocaleTimeString()} | Last Update: ${this.lastUpdateTime.toLocaleTimeString()}`);
+        if (this.replay) {
+            const { state, speed, position, index, total } = this.replay.status();
+            console.log(`⏪ Replay ${state} at ${new Date(position).toLocaleString()} | ${index}/${total} messages | ${speed}x`);
+        }
+        console.log('');
+        
+        // Ages follow the recording while replaying
+        const feedNow = new Date(this.feedNow());
         
         // Health Status Section
-        this.displayHealthStatus(now);
+        this.displayHealthStatus(feedNow);
         
         // Orderbook Status Section  
-        this.displayOrderbookStatus(now);
+        this.displayOrderbookStatus(feedNow);
         
         // System Summary
         this.displaySystemSummary();
@@ -214,19 +335,18 @@ class ComprehensiveMonitor {
             return;
         }
         
-        // Sort by node type (master first, then workers)
-        const sortedNodes = Array.from(this.healthData.entries()).sort(([nodeIdA], [nodeIdB]) => {
-            // Put master nodes first
-            if (nodeIdA.includes('127.124')) return -1;
-            if (nodeIdB.includes('127.124')) return 1;
-            return nodeIdA.localeCompare(nodeIdB);
+        const { staleAfterSeconds } = this.config.health;
+        
+        // Sort by role (configured role order, e.g. masters first), then node id
+        const sortedNodes = Array.from(this.healthData.entries()).sort(([nodeIdA, healthA], [nodeIdB, healthB]) => {
+            return this.roles.compareNodes(nodeIdA, healthA.role, nodeIdB, healthB.role);
         });
         
         for (const [nodeId, health] of sortedNodes) {
             const age = Math.round((now - health.lastUpdate) / 1000);
-            const isHealthy = age < 60 && health.isHealthy;
+            const { isHealthy } = evaluateNodeHealth(health, now, staleAfterSeconds);
             const status = isHealthy ? '🟢 HEALTHY' : '🔴 UNHEALTHY';
-            const nodeType = nodeId.includes('127.124') ? '(MASTER)' : '(WORKER)';
+            const nodeType = `(${health.role.toUpperCase()})`;
             
             console.log(`   🖥️  ${nodeId} ${nodeType}: ${status} (${age}s ago)`);
             console.log(`       CPU: ${health.cpuUsage?.toFixed(1)}% | Memory: ${health.memoryUsage?.toFixed(1)}%`);
@@ -247,7 +367,7 @@ class ComprehensiveMonitor {
         
         // Display orderbooks organized by node
         for (const [nodeId, nodeOrderbooks] of this.orderbooksByNode) {
-            const nodeType = nodeId.includes('127.124') ? 'MASTER' : 'WORKER';
+            const nodeType = this.resolveRole(nodeId).toUpperCase();
             const marketCount = nodeOrderbooks.size;
             
             console.log(`🖥️  NODE ${nodeId} (${nodeType}) - ${marketCount} markets`);
@@ -262,54 +382,73 @@ class ComprehensiveMonitor {
             for (const [eventId, orderbook] of nodeOrderbooks) {
                 const age = Math.round((now - orderbook.lastUpdate) / 1000);
                 
-                console.log(`   📈 ${eventId} (${age}s ago)`);
+                const analysis = analyzeOrderbook(orderbook, { depthCents: this.config.markets.depthCents });
+                
+                console.log(`   📈 ${eventId} (${age}s ago) │ Notional $${formatDollars(analysis.notional)}`);
+                console.log(`      ${this.formatComplement(analysis.complement)}`);
                 console.log('   ─'.repeat(40));
                 
                 // Display Market A complete orderbook
-                this.displayCompleteMarketOrderbook(orderbook.marketA, '      ');
+                this.displayCompleteMarketOrderbook(orderbook.marketA, analysis.marketA, '      ');
                 
                 console.log('');
                 
                 // Display Market B complete orderbook
-                this.displayCompleteMarketOrderbook(orderbook.marketB, '      ');
+                this.displayCompleteMarketOrderbook(orderbook.marketB, analysis.marketB, '      ');
                 
                 console.log('');
             }
         }
     }
     
-    displayCompleteMarketOrderbook(market, indent = '') {
+    resolveRole(nodeId) {
+        const health = this.healthData.get(nodeId);
+        return health ? health.role : this.roles.resolve(nodeId);
+    }
+    
+    /**
+     * YES+NO best prices against the 100¢ payout (see src/shared/market-analytics.js).
+     */
+    formatComplement({ bidSum, askSum, bidEdge, askEdge, arbitrage }) {
+        const sums = `YES+NO: bids ${formatCents(bidSum)} / asks ${formatCents(askSum)}`;
+        if (!arbitrage) return `⚖️  ${sums}`;
+        const edges = [bidEdge > 0 && `sell both +${bidEdge}¢`, askEdge > 0 && `buy both +${askEdge}¢`].filter(Boolean);
+        return `🚨 ${sums} │ ARBITRAGE: ${edges.join(', ')}`;
+    }
+    
+    displayCompleteMarketOrderbook(market, analysis, indent = '') {
         const { marketId, bids = [], asks = [], bestBid, bestAsk, totalOrders } = market;
         
-        console.log(`${indent}📊 ${marketId.toUpperCase()} (${totalOrders} orders)`);
-        console.log(`${indent}   Best: ${bestBid}¢ bid / ${bestAsk}¢ ask`);
+        console.log(`${indent}📊 ${String(marketId).toUpperCase()} (${totalOrders} orders)`);
+        console.log(`${indent}   Best: ${bestBid ?? '—'}¢ bid / ${bestAsk ?? '—'}¢ ask`);
         
         // Display ASK levels (sorted high to low for traditional orderbook view)
         if (asks.length > 0) {
             console.log(`${indent}   🔴 ASKS (${asks.length} levels):`);
             const sortedAsks = [...asks].sort((a, b) => b.price - a.price);
             for (const ask of sortedAsks) {
-                console.log(`${indent}      ${ask.price}¢ │ ${ask.quantity.toLocaleString()} shares │ ${ask.count} orders`);
+                console.log(`${indent}      ${ask.price}¢ │ ${Number(ask.quantity).toLocaleString()} shares │ ${ask.count} orders`);
             }
         } else {
             console.log(`${indent}   🔴 ASKS: No ask orders`);
         }
         
-        // Spread indicator
-        if (bestBid > 0 && bestAsk > 0) {
-            const spread = bestAsk - bestBid;
-            const spreadPercent = ((spread / bestBid) * 100).toFixed(1);
-            console.log(`${indent}   ⚡ SPREAD: ${spread}¢ (${spreadPercent}%)`);
+        // Spread indicator; in cents, since prices are already probabilities
+        if (analysis.spread !== null) {
+            console.log(`${indent}   ⚡ SPREAD: ${analysis.spread}¢ │ Mid ${formatCents(analysis.mid)} │ Micro ${formatCents(analysis.microprice)}`);
         } else {
             console.log(`${indent}   ⚡ SPREAD: Market gap`);
         }
+        console.log(`${indent}   📏 Depth ±${analysis.depthCents}¢: ${analysis.bidDepth.toLocaleString()} bid / ` +
+            `${analysis.askDepth.toLocaleString()} ask │ Imbalance ${formatImbalance(analysis.imbalance)} │ ` +
+            `Notional $${formatDollars(analysis.notional)}`);
         
         // Display BID levels (sorted high to low)
         if (bids.length > 0) {
             console.log(`${indent}   🟢 BIDS (${bids.length} levels):`);
             const sortedBids = [...bids].sort((a, b) => b.price - a.price);
             for (const bid of sortedBids) {
-                console.log(`${indent}      ${bid.price}¢ │ ${bid.quantity.toLocaleString()} shares │ ${bid.count} orders`);
+                console.log(`${indent}      ${bid.price}¢ │ ${Number(bid.quantity).toLocaleString()} shares │ ${bid.count} orders`);
             }
         } else {
             console.log(`${indent}   🟢 BIDS: No bid orders`);
@@ -321,9 +460,9 @@ class ComprehensiveMonitor {
         console.log('=================');
         
         const totalNodes = this.healthData.size;
+        const now = new Date(this.feedNow());
         const healthyNodes = Array.from(this.healthData.values()).filter(h => {
-            const age = (new Date() - h.lastUpdate) / 1000;
-            return age < 60 && h.isHealthy;
+            return evaluateNodeHealth(h, now, this.config.health.staleAfterSeconds).isHealthy;
         }).length;
         
         let totalActiveMarkets = 0;
@@ -331,18 +470,77 @@ class ComprehensiveMonitor {
             totalActiveMarkets += nodeOrderbooks.size;
         }
         
-        console.log(`   🖥️  Total Nodes: ${totalNodes} (${healthyNodes} healthy)`);
+        const roleCounts = this.roles.countByRole(Array.from(this.healthData.values(), h => h.role))
+            .map(([role, count]) => `${count} ${role}`)
+            .join(', ');
+        
+        console.log(`   🖥️  Total Nodes: ${totalNodes} (${healthyNodes} healthy)${roleCounts ? ` | ${roleCounts}` : ''}`);
         console.log(`   📊 Active Markets: ${totalActiveMarkets}`);
         console.log(`   🔄 Total Markets in System: ${this.totalMarkets || 'N/A'}`);
-        console.log(`   📡 Data Source: Master Redis (100.70.127.124:6380)`);
+        if (this.replay) {
+            console.log(`   📡 Data Source: Recording (${this.config.replay.path})`);
+        } else {
+            console.log(`   📡 Data Source: Master Redis (${describeRedisUrl(this.config.redis.url)})`);
+        }
         console.log(`   ⚡ Update Frequency: ${this.displayInterval/1000}s`);
         
-        console.log('\n💡 Commands: Ctrl+C to stop monitoring');
+        this.displayConsistency(now);
+        
+        const { rejected, coerced } = this.validator.totals;
+        if (rejected > 0 || coerced > 0) {
+            const [worst] = this.validator.producerStats();
+            console.log(`   🧾 Rejected Messages: ${rejected} | Coerced: ${coerced}` +
+                (worst && worst.lastRejected ? ` | Most rejected: ${worst.producer} (${worst.lastRejected.errors[0]})` : ''));
+        }
+        
+        if (this.replay && this.config.replay.stepped) {
+            console.log('\n💡 Commands: Enter for the next message, Ctrl+C to stop monitoring');
+        } else {
+            console.log('\n💡 Commands: Ctrl+C to stop monitoring');
+        }
+    }
+    
+    /**
+     * Events held by several nodes and market counts that don't add up.
+     * Without liveness tracking here, a node is live while its health isn't stale.
+     */
+    displayConsistency(now) {
+        const { staleAfterSeconds } = this.config.health;
+        const isLive = (nodeId) => {
+            const health = this.healthData.get(nodeId);
+            return !health || evaluateNodeHealth(health, now, staleAfterSeconds).state !== 'stale';
+        };
+        const { duplicates, staleCopies, nodeCounts, totals } = this.ownership.check({
+            healthData: this.healthData,
+            orderbooksByNode: this.orderbooksByNode,
+            totalMarkets: this.totalMarkets,
+            isLive
+        }, now.getTime());
+        
+        if (duplicates.length === 0 && staleCopies.length === 0 && nodeCounts.length === 0 && !totals.mismatch) {
+            console.log(`   🧭 Market Ownership: consistent (${this.ownership.moveCount} moves since start)`);
+            return;
+        }
+        
+        console.log(`   🧭 Market Ownership: ${duplicates.length} duplicated | ${staleCopies.length} stale copies`);
+        for (const event of [...duplicates, ...staleCopies]) {
+            const owners = event.owners.map(owner => `${owner.nodeId} (${owner.state})`).join(', ');
+            console.log(`      ⚠️  ${event.eventId}: ${owners}`);
+        }
+        for (const { nodeId, cached, reported } of nodeCounts) {
+            console.log(`      ⚠️  ${nodeId} reports ${reported} active markets, ${cached} cached`);
+        }
+        if (totals.mismatch) {
+            console.log(`      ⚠️  Discovery reports ${totals.reported} markets, ${totals.cached} distinct events cached`);
+        }
     }
     
     async stop() {
         console.log('\n🛑 Shutting down comprehensive monitor...');
         
+        if (this.replay) {
+            this.replay.stop();
+        }
         if (this.subscriber) {
             await this.subscriber.quit();
         }
@@ -356,6 +554,18 @@ class ComprehensiveMonitor {
     }
 }
 
+module.exports = ComprehensiveMonitor;
+
 // Start the comprehensive monitor
-const monitor = new ComprehensiveMonitor();
-monitor.start().catch(console.error);
\ No newline at end of file
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    const monitor = new ComprehensiveMonitor(config);
+    monitor.start().catch(console.error);
+}
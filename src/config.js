@@ -0,0 +1,534 @@
+/**
+ * ⚙️ SHARED CONFIGURATION
+ * Resolves settings for the dashboard server and console monitor.
+ *
+ * Precedence (lowest to highest):
+ *   built-in defaults → JSON config file → environment variables → CLI flags
+ *
+ * The config file is picked with `--config <path>` or MONITOR_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SCENARIO, validateScenario } = require('./shared/market-simulator');
+
+const DEFAULTS = {
+    redis: {
+        url: 'redis://100.70.127.124:6380',
+        username: null,
+        password: null,
+        tls: false,
+        tlsRejectUnauthorized: true,
+        tlsCaFile: null,
+        connectTimeout: 5000,
+        // Reconnect backoff: doubles from the initial delay up to the max, forever
+        reconnectInitialDelayMs: 500,
+        reconnectMaxDelayMs: 30000,
+        // Serve simulated data until Redis is first reached (never after)
+        demoWhenUnavailable: true
+    },
+    server: {
+        host: '0.0.0.0',
+        port: 8080,
+        // WebSocket URL handed to browsers; null means "derive from page origin"
+        publicWsUrl: null
+    },
+    channels: {
+        metrics: 'metrics:*',
+        orderbooks: 'orderbooks',
+        marketStatus: 'market_status:*',
+        marketDiscovery: 'market_discovery'
+    },
+    nodes: {
+        // Known roles in display/sort order
+        roles: ['master', 'standby', 'gateway', 'worker'],
+        defaultRole: 'worker',
+        // Shorthand for a { role: 'master', match } pattern; checked before `patterns`
+        masterPattern: '127.124',
+        // [{ role, match }] substring or [{ role, regex }] rules, first match wins
+        patterns: [],
+        // JSON file mapping nodeId → role; loaded into `inventory`
+        inventoryFile: null,
+        inventory: {}
+    },
+    health: {
+        // Seconds without a health update before a node counts as unhealthy
+        staleAfterSeconds: 60,
+        // Silent this long: offline (kept on the dashboard, greyed out)
+        offlineAfterSeconds: 300,
+        // Silent this long: evicted, and its markets flagged as orphaned
+        expireAfterSeconds: 3600,
+        // How often liveness is re-evaluated when no messages arrive
+        livenessCheckSeconds: 5
+    },
+    bootstrap: {
+        // Load the latest health and books from Redis before going live (see src/state-bootstrap.js)
+        enabled: false,
+        // Key patterns holding the latest payload as JSON strings or hashes; null to skip
+        healthKeys: 'health:*',
+        orderbookKeys: 'orderbook:*',
+        // Streams producers also append to; null to skip
+        healthStream: null,
+        orderbookStream: null,
+        // Newest entries read per stream
+        streamCount: 1000,
+        scanCount: 500,
+        // Snapshots older than this are ignored
+        maxAgeSeconds: 3600,
+        // Give up on the snapshot and go live after this long
+        timeoutMs: 10000,
+        // Live messages held while the snapshot loads
+        maxHeld: 100000
+    },
+    recording: {
+        // Directory for gzip'd captures of every feed message (see src/feed-recorder.js); null disables
+        dir: null,
+        // Start a new file after this long or this much uncompressed data
+        rotateMinutes: 60,
+        rotateMaxMB: 256,
+        // Oldest files beyond this are deleted; 0 keeps everything
+        maxFiles: 168
+    },
+    events: {
+        // Directory for the JSON-lines event log (see src/event-log.js); null keeps events in memory only
+        dir: null,
+        // Least severe level kept: debug, info, warn or error
+        level: 'info',
+        // Recent events kept in memory for /api/events and the page's timeline
+        bufferSize: 1000,
+        // Start a new file after this long or this much data
+        rotateMinutes: 1440,
+        rotateMaxMB: 64,
+        // Oldest files beyond this are deleted; 0 keeps everything
+        maxFiles: 30
+    },
+    simulator: {
+        // Scenario for demo mode and `npm run simulate`; every other DEFAULT_SCENARIO
+        // key in src/shared/market-simulator.js (failure rates, levels...) can be set here too
+        seed: null,
+        nodes: 3,
+        events: 4,
+        tickMs: 1000,
+        // `npm run simulate` only publishes to a Redis on localhost unless this is set
+        allowRemote: false
+    },
+    replay: {
+        // Recording file or directory to play back instead of connecting to Redis
+        path: null,
+        // 1 is real time
+        speed: 1,
+        // Start paused, to advance one message at a time
+        stepped: false
+    },
+    validation: {
+        // Rejected messages kept for /api/dead-letters (see src/feed-validator.js)
+        deadLetterSize: 500,
+        // Raw payload kept per rejected message; the rest is cut off
+        maxPayloadBytes: 4096,
+        // Producers counted individually; any more are counted as "other"
+        maxProducers: 1000,
+        // At most one console line per producer this often; all are counted
+        logIntervalSeconds: 60
+    },
+    auth: {
+        // Off by default: anyone who can reach the port sees everything
+        enabled: false,
+        // JSON file with users (scrypt password hashes) and API tokens (sha256); see src/auth.js
+        usersFile: null,
+        // HMAC key for session cookies; a random one (sessions lost on restart) when null
+        sessionSecret: null,
+        sessionTtlSeconds: 43200,
+        // Set when served over HTTPS so cookies are never sent in clear
+        secureCookies: false,
+        // JSON-lines file for login and access-denied events; console only when null
+        auditLogFile: null,
+        // Failed logins in a row, per IP and per username, before attempts are refused for
+        // loginLockoutSeconds; each further failure doubles that, up to loginMaxLockoutSeconds
+        loginMaxFailures: 5,
+        loginLockoutSeconds: 30,
+        loginMaxLockoutSeconds: 900,
+        // Origins besides the server's own whose pages may open the WebSocket,
+        // e.g. "https://dashboard.example.com" when the page is served elsewhere
+        allowedOrigins: [],
+        // What each role may see: health, orderbooks, alerts, admin
+        roles: {
+            admin: ['health', 'orderbooks', 'alerts', 'admin'],
+            ops: ['health', 'alerts'],
+            trader: ['orderbooks']
+        }
+    },
+    clients: {
+        // Per-client send rate; anything faster is queued (and coalesced)
+        maxMessagesPerSecond: 500,
+        // Stop writing to a socket while this much is still unsent in its buffer
+        maxBufferedBytes: 1048576,
+        // Disconnect clients whose queue grows past this many messages...
+        maxQueueLength: 10000,
+        // ...or whose oldest queued message is older than this
+        maxLagSeconds: 30,
+        flushIntervalMs: 100,
+        // Ping interval; clients that miss a pong are terminated
+        heartbeatIntervalSeconds: 30
+    },
+    markets: {
+        // Status transitions kept per market
+        statusHistoryLength: 50,
+        // Closed/cleared markets remembered for the "recently closed" list
+        recentlyClosedLimit: 20,
+        // Ownership moves (event published by a new node) remembered
+        moveHistoryLength: 100,
+        // Two live nodes publishing an event within this window are duplicates;
+        // an older copy not refreshed for this long after a move is a stale copy
+        staleCopySeconds: 60,
+        // Depth and imbalance count levels within this many cents of the best price
+        depthCents: 5
+    },
+    history: {
+        // Samples older than this are dropped
+        retentionSeconds: 86400,
+        // Hard cap per node, whatever the publish rate
+        maxSamplesPerNode: 20000,
+        // JSON file to persist history across restarts; null keeps it in memory only
+        persistFile: null,
+        persistIntervalSeconds: 60,
+        // History sent to newly connected clients
+        initialWindowSeconds: 86400,
+        initialStepSeconds: 60
+    },
+    alerts: {
+        // null uses the built-in rules in src/alert-engine.js
+        rules: null,
+        // Full re-evaluation interval, for time-based rules when no messages arrive
+        evaluateIntervalSeconds: 5,
+        resolvedRetention: 50
+    },
+    notifications: {
+        // Delivery routes for firing/resolved alerts, see src/notifiers/alert-notifier.js
+        routes: [],
+        retry: {
+            attempts: 5,
+            initialDelayMs: 1000,
+            maxDelayMs: 60000
+        }
+    },
+    monitor: {
+        displayInterval: 3000
+    }
+};
+
+/**
+ * Every overridable setting: its path in the config object, the
+ * environment variable and CLI flag that set it, and how to parse it.
+ */
+const OPTIONS = [
+    { path: 'redis.url', env: 'REDIS_URL', flag: '--redis-url', type: 'string' },
+    { path: 'redis.username', env: 'REDIS_USERNAME', flag: '--redis-username', type: 'string' },
+    { path: 'redis.password', env: 'REDIS_PASSWORD', flag: '--redis-password', type: 'string' },
+    { path: 'redis.tls', env: 'REDIS_TLS', flag: '--redis-tls', type: 'boolean' },
+    { path: 'redis.tlsRejectUnauthorized', env: 'REDIS_TLS_REJECT_UNAUTHORIZED', flag: '--redis-tls-reject-unauthorized', type: 'boolean' },
+    { path: 'redis.tlsCaFile', env: 'REDIS_TLS_CA_FILE', flag: '--redis-tls-ca-file', type: 'string' },
+    { path: 'redis.connectTimeout', env: 'REDIS_CONNECT_TIMEOUT', flag: '--redis-connect-timeout', type: 'number' },
+    { path: 'redis.reconnectInitialDelayMs', env: 'REDIS_RECONNECT_INITIAL_DELAY', flag: '--redis-reconnect-initial-delay', type: 'number' },
+    { path: 'redis.reconnectMaxDelayMs', env: 'REDIS_RECONNECT_MAX_DELAY', flag: '--redis-reconnect-max-delay', type: 'number' },
+    { path: 'redis.demoWhenUnavailable', env: 'REDIS_DEMO_WHEN_UNAVAILABLE', flag: '--demo-when-unavailable', type: 'boolean' },
+    { path: 'server.host', env: 'DASHBOARD_HOST', flag: '--host', type: 'string' },
+    { path: 'server.port', env: 'DASHBOARD_PORT', flag: '--port', type: 'number' },
+    { path: 'server.publicWsUrl', env: 'DASHBOARD_PUBLIC_WS_URL', flag: '--public-ws-url', type: 'string' },
+    { path: 'channels.metrics', env: 'CHANNEL_METRICS', flag: '--channel-metrics', type: 'string' },
+    { path: 'channels.orderbooks', env: 'CHANNEL_ORDERBOOKS', flag: '--channel-orderbooks', type: 'string' },
+    { path: 'channels.marketStatus', env: 'CHANNEL_MARKET_STATUS', flag: '--channel-market-status', type: 'string' },
+    { path: 'channels.marketDiscovery', env: 'CHANNEL_MARKET_DISCOVERY', flag: '--channel-market-discovery', type: 'string' },
+    { path: 'nodes.masterPattern', env: 'MASTER_NODE_PATTERN', flag: '--master-pattern', type: 'string' },
+    { path: 'nodes.inventoryFile', env: 'NODE_INVENTORY_FILE', flag: '--node-inventory', type: 'string' },
+    { path: 'nodes.defaultRole', env: 'NODE_DEFAULT_ROLE', flag: '--default-role', type: 'string' },
+    { path: 'health.staleAfterSeconds', env: 'STALE_AFTER_SECONDS', flag: '--stale-after', type: 'number' },
+    { path: 'health.offlineAfterSeconds', env: 'OFFLINE_AFTER_SECONDS', flag: '--offline-after', type: 'number' },
+    { path: 'health.expireAfterSeconds', env: 'EXPIRE_AFTER_SECONDS', flag: '--expire-after', type: 'number' },
+    { path: 'bootstrap.enabled', env: 'BOOTSTRAP_ENABLED', flag: '--bootstrap', type: 'boolean' },
+    { path: 'bootstrap.healthKeys', env: 'BOOTSTRAP_HEALTH_KEYS', flag: '--bootstrap-health-keys', type: 'string' },
+    { path: 'bootstrap.orderbookKeys', env: 'BOOTSTRAP_ORDERBOOK_KEYS', flag: '--bootstrap-orderbook-keys', type: 'string' },
+    { path: 'bootstrap.healthStream', env: 'BOOTSTRAP_HEALTH_STREAM', flag: '--bootstrap-health-stream', type: 'string' },
+    { path: 'bootstrap.orderbookStream', env: 'BOOTSTRAP_ORDERBOOK_STREAM', flag: '--bootstrap-orderbook-stream', type: 'string' },
+    { path: 'bootstrap.streamCount', env: 'BOOTSTRAP_STREAM_COUNT', flag: '--bootstrap-stream-count', type: 'number' },
+    { path: 'recording.dir', env: 'RECORD_DIR', flag: '--record', type: 'string' },
+    { path: 'recording.rotateMinutes', env: 'RECORD_ROTATE_MINUTES', flag: '--record-rotate-minutes', type: 'number' },
+    { path: 'recording.rotateMaxMB', env: 'RECORD_ROTATE_MAX_MB', flag: '--record-rotate-max-mb', type: 'number' },
+    { path: 'recording.maxFiles', env: 'RECORD_MAX_FILES', flag: '--record-max-files', type: 'number' },
+    { path: 'events.dir', env: 'EVENT_LOG_DIR', flag: '--event-log', type: 'string' },
+    { path: 'events.level', env: 'EVENT_LOG_LEVEL', flag: '--event-log-level', type: 'string' },
+    { path: 'events.bufferSize', env: 'EVENT_LOG_BUFFER', flag: '--event-log-buffer', type: 'number' },
+    { path: 'events.maxFiles', env: 'EVENT_LOG_MAX_FILES', flag: '--event-log-max-files', type: 'number' },
+    { path: 'simulator.seed', env: 'SIMULATOR_SEED', flag: '--sim-seed', type: 'number' },
+    { path: 'simulator.nodes', env: 'SIMULATOR_NODES', flag: '--sim-nodes', type: 'number' },
+    { path: 'simulator.events', env: 'SIMULATOR_EVENTS', flag: '--sim-events', type: 'number' },
+    { path: 'simulator.tickMs', env: 'SIMULATOR_TICK_MS', flag: '--sim-tick-ms', type: 'number' },
+    { path: 'simulator.allowRemote', env: 'SIMULATOR_ALLOW_REMOTE', flag: '--sim-allow-remote', type: 'boolean' },
+    { path: 'replay.path', env: 'REPLAY_PATH', flag: '--replay', type: 'string' },
+    { path: 'replay.speed', env: 'REPLAY_SPEED', flag: '--replay-speed', type: 'number' },
+    { path: 'replay.stepped', env: 'REPLAY_STEPPED', flag: '--replay-step', type: 'boolean' },
+    { path: 'validation.deadLetterSize', env: 'DEAD_LETTER_SIZE', flag: '--dead-letter-size', type: 'number' },
+    { path: 'validation.maxPayloadBytes', env: 'DEAD_LETTER_MAX_BYTES', flag: '--dead-letter-max-bytes', type: 'number' },
+    { path: 'auth.enabled', env: 'AUTH_ENABLED', flag: '--auth', type: 'boolean' },
+    { path: 'auth.usersFile', env: 'AUTH_USERS_FILE', flag: '--users-file', type: 'string' },
+    { path: 'auth.sessionSecret', env: 'SESSION_SECRET', flag: null, type: 'string' },
+    { path: 'auth.secureCookies', env: 'AUTH_SECURE_COOKIES', flag: '--secure-cookies', type: 'boolean' },
+    { path: 'auth.auditLogFile', env: 'AUDIT_LOG_FILE', flag: '--audit-log', type: 'string' },
+    { path: 'auth.loginMaxFailures', env: 'LOGIN_MAX_FAILURES', flag: '--login-max-failures', type: 'number' },
+    { path: 'auth.loginLockoutSeconds', env: 'LOGIN_LOCKOUT_SECONDS', flag: '--login-lockout', type: 'number' },
+    { path: 'clients.maxMessagesPerSecond', env: 'CLIENT_MAX_RATE', flag: '--client-max-rate', type: 'number' },
+    { path: 'clients.maxBufferedBytes', env: 'CLIENT_MAX_BUFFER', flag: '--client-max-buffer', type: 'number' },
+    { path: 'clients.maxQueueLength', env: 'CLIENT_MAX_QUEUE', flag: '--client-max-queue', type: 'number' },
+    { path: 'clients.maxLagSeconds', env: 'CLIENT_MAX_LAG', flag: '--client-max-lag', type: 'number' },
+    { path: 'clients.heartbeatIntervalSeconds', env: 'HEARTBEAT_INTERVAL', flag: '--heartbeat-interval', type: 'number' },
+    { path: 'markets.recentlyClosedLimit', env: 'RECENTLY_CLOSED_LIMIT', flag: '--recently-closed', type: 'number' },
+    { path: 'markets.staleCopySeconds', env: 'STALE_COPY_SECONDS', flag: '--stale-copy-seconds', type: 'number' },
+    { path: 'markets.depthCents', env: 'DEPTH_CENTS', flag: '--depth-cents', type: 'number' },
+    { path: 'history.retentionSeconds', env: 'HISTORY_RETENTION_SECONDS', flag: '--history-retention', type: 'number' },
+    { path: 'history.maxSamplesPerNode', env: 'HISTORY_MAX_SAMPLES', flag: '--history-max-samples', type: 'number' },
+    { path: 'history.persistFile', env: 'HISTORY_FILE', flag: '--history-file', type: 'string' },
+    { path: 'history.persistIntervalSeconds', env: 'HISTORY_PERSIST_INTERVAL', flag: '--history-persist-interval', type: 'number' },
+    { path: 'alerts.evaluateIntervalSeconds', env: 'ALERTS_EVALUATE_INTERVAL', flag: '--alerts-interval', type: 'number' },
+    { path: 'monitor.displayInterval', env: 'MONITOR_DISPLAY_INTERVAL', flag: '--display-interval', type: 'number' }
+];
+
+function parseValue(raw, type, source) {
+    if (type === 'number') {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid number for ${source}: ${raw}`);
+        }
+        return value;
+    }
+    if (type === 'boolean') {
+        if (raw === true || raw === false) return raw;
+        const normalized = String(raw).toLowerCase();
+        if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+        if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+        throw new Error(`Invalid boolean for ${source}: ${raw}`);
+    }
+    return String(raw);
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (typeof node[key] !== 'object' || node[key] === null) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+/**
+ * Parse `--flag value`, `--flag=value` and bare boolean `--flag` forms.
+ * Unknown flags are rejected so typos don't silently fall back to defaults.
+ */
+function parseArgs(argv) {
+    const flags = new Map();
+    const known = new Map(OPTIONS.filter(option => option.flag).map(option => [option.flag, option]));
+    known.set('--config', { flag: '--config', type: 'string' });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const eq = arg.indexOf('=');
+        const flag = eq === -1 ? arg : arg.slice(0, eq);
+        const option = known.get(flag);
+        if (!option) {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+
+        let raw;
+        if (eq !== -1) {
+            raw = arg.slice(eq + 1);
+        } else if (option.type === 'boolean' && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+            raw = true;
+        } else if (i + 1 < argv.length) {
+            raw = argv[++i];
+        } else {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        flags.set(flag, raw);
+    }
+
+    return flags;
+}
+
+function readConfigFile(filePath, description = 'config file') {
+    const resolved = path.resolve(filePath);
+    try {
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read ${description} ${resolved}: ${error.message}`);
+    }
+}
+
+/**
+ * Node inventory files are either a plain `{ "<nodeId>": "<role>" }` map or
+ * `{ "nodes": [{ "id": "<nodeId>", "role": "<role>" }] }`.
+ */
+function readInventoryFile(filePath) {
+    const data = readConfigFile(filePath, 'node inventory');
+    if (!Array.isArray(data.nodes)) return data;
+
+    const inventory = {};
+    for (const node of data.nodes) {
+        if (node && node.id && node.role) inventory[node.id] = node.role;
+    }
+    return inventory;
+}
+
+/**
+ * Build the effective configuration.
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - CLI arguments (defaults to process.argv minus node/script)
+ * @param {object} [options.env] - environment (defaults to process.env)
+ * @returns {object} resolved config
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const flags = parseArgs(argv);
+
+    let config = JSON.parse(JSON.stringify(DEFAULTS));
+
+    const configFile = flags.get('--config') || env.MONITOR_CONFIG;
+    if (configFile) {
+        config = deepMerge(config, readConfigFile(configFile));
+    }
+
+    for (const option of OPTIONS) {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            setPath(config, option.path, parseValue(env[option.env], option.type, option.env));
+        }
+    }
+
+    for (const option of OPTIONS) {
+        if (flags.has(option.flag)) {
+            setPath(config, option.path, parseValue(flags.get(option.flag), option.type, option.flag));
+        }
+    }
+
+    if (config.nodes.inventoryFile) {
+        config.nodes.inventory = {
+            ...config.nodes.inventory,
+            ...readInventoryFile(config.nodes.inventoryFile)
+        };
+    }
+
+    // Demo mode starts only once Redis turns out to be unreachable; catch a bad scenario now
+    validateScenario({ ...DEFAULT_SCENARIO, ...config.simulator });
+
+    return config;
+}
+
+/**
+ * Translate the redis section into node-redis `createClient` options.
+ */
+function buildRedisOptions(redisConfig, socketOverrides = {}) {
+    const options = {
+        url: redisConfig.url,
+        socket: {
+            connectTimeout: redisConfig.connectTimeout,
+            ...socketOverrides
+        }
+    };
+
+    if (redisConfig.username) options.username = redisConfig.username;
+    if (redisConfig.password) options.password = redisConfig.password;
+
+    if (redisConfig.tls || redisConfig.url.startsWith('rediss://')) {
+        options.socket.tls = true;
+        options.socket.rejectUnauthorized = redisConfig.tlsRejectUnauthorized;
+        if (redisConfig.tlsCaFile) {
+            options.socket.ca = fs.readFileSync(redisConfig.tlsCaFile);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Host/port of a Redis URL without any inline credentials, safe for logs.
+ */
+function describeRedisUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.host}${parsed.protocol === 'rediss:' ? ' (TLS)' : ''}`;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Extract the variable part of a channel that matched a `prefix:*` pattern,
+ * e.g. ('metrics:*', 'metrics:10.0.0.5') → '10.0.0.5'.
+ */
+function channelSuffix(pattern, channel) {
+    const prefix = pattern.endsWith('*') ? pattern.slice(0, -1) : pattern;
+    return channel.startsWith(prefix) ? channel.slice(prefix.length) : channel;
+}
+
+/**
+ * The channel a message for `suffix` arrives on; the inverse of channelSuffix.
+ */
+function channelFor(pattern, suffix) {
+    return pattern.endsWith('*') ? pattern.slice(0, -1) + suffix : pattern;
+}
+
+/**
+ * Options for NodeRoles.createRoleResolver (src/shared/node-roles.js).
+ */
+function roleResolverOptions(nodesConfig) {
+    const patterns = nodesConfig.masterPattern
+        ? [{ role: 'master', match: nodesConfig.masterPattern }, ...nodesConfig.patterns]
+        : nodesConfig.patterns;
+
+    return {
+        roles: nodesConfig.roles,
+        defaultRole: nodesConfig.defaultRole,
+        inventory: nodesConfig.inventory,
+        patterns
+    };
+}
+
+/**
+ * Subset of the config that is safe to expose to browsers.
+ */
+function publicConfig(config) {
+    return {
+        wsUrl: config.server.publicWsUrl,
+        nodes: roleResolverOptions(config.nodes),
+        health: { staleAfterSeconds: config.health.staleAfterSeconds },
+        markets: { depthCents: config.markets.depthCents }
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    OPTIONS,
+    loadConfig,
+    buildRedisOptions,
+    describeRedisUrl,
+    channelSuffix,
+    channelFor,
+    roleResolverOptions,
+    publicConfig
+};
@@ -5,62 +5,155 @@
  * Bridges Redis monitoring data to web dashboard via WebSocket
  */
 
-const redis = require('redis');
 const WebSocket = require('ws');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, describeRedisUrl, channelSuffix, channelFor, roleResolverOptions, publicConfig } = require('./config');
+const { createRoleResolver } = require('./shared/node-roles');
+const RestApi = require('./rest-api');
+const { HealthHistory } = require('./health-history');
+const { AlertEngine, DEFAULT_RULES } = require('./alert-engine');
+const { AlertNotifier } = require('./notifiers/alert-notifier');
+const { NodeLiveness } = require('./node-liveness');
+const { MarketStatusTracker } = require('./market-status');
+const { MarketOwnership } = require('./market-ownership');
+const { evaluateNodeHealth } = require('./shared/node-health');
+const OrderbookDelta = require('./shared/orderbook-delta');
+const { ClientSubscription } = require('./shared/client-subscription');
+const ClientConnection = require('./client-connection');
+const { Auth } = require('./auth');
+const AuditLog = require('./audit-log');
+const RedisUpstream = require('./redis-upstream');
+const { StateBootstrap, FeedHandoff, healthKey, orderbookKeyOf } = require('./state-bootstrap');
+const { FeedRecorder } = require('./feed-recorder');
+const { FeedReplay, routeFeedMessage } = require('./feed-replay');
+const { FeedValidator } = require('./feed-validator');
+const { EventLog } = require('./event-log');
+const { MetricsExporter, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics-exporter');
+const { Simulator } = require('./shared/market-simulator');
+
+const SHARED_DIR = path.join(__dirname, 'shared');
 
 class DashboardServer {
-    constructor() {
-        this.redisClient = null;
-        this.redisSubscriber = null;
+    constructor(config) {
+        this.config = config;
+        this.roles = createRoleResolver(roleResolverOptions(config.nodes));
         this.wss = null;
         this.server = null;
-        this.clients = new Set();
+        this.clients = new Map();         // ws -> ClientConnection
+        this.clientTimer = null;
+        this.heartbeatTimer = null;
+        // Totals across all connections, including closed ones
+        this.clientTotals = { sent: 0, bytes: 0, coalesced: 0, dropped: 0, disconnectedSlow: 0, reapedDead: 0 };
+        
+        // Notable events as JSON lines, for /api/events and the page's timeline; replays keep theirs in memory
+        this.events = new EventLog(config.replay.path ? { ...config.events, dir: null } : config.events);
+        this.events.on('entry', (entry) => this.broadcast({
+            type: 'event_log',
+            entry,
+            nodeId: entry.nodeId,
+            eventId: entry.eventId,
+            timestamp: entry.time
+        }));
+        
+        // Schema checks on ingest; rejected messages are kept for /api/dead-letters
+        this.validator = new FeedValidator(config.validation);
         
         // Data cache for new connections
         this.healthData = new Map();
         this.orderbooksByNode = new Map();
         this.totalMarkets = 0;
+        this.totalMarketsChange = 0;
+        
+        // OPEN/HALTED/SUSPENDED/CLOSED/CLEARED per market, with transition history
+        this.marketStatus = new MarketStatusTracker(config.markets);
+        
+        // Which nodes hold each event's book; duplicates, stale copies and count mismatches
+        this.ownership = new MarketOwnership(config.markets);
+        this.consistency = null;          // last check(), sent to new clients
+        this.consistencySummary = null;   // counts last logged
+        this.nodeHealthStates = new Map(); // nodeId -> last evaluateNodeHealth() state, for node_health events
+        
+        // online/stale/offline/expired tracking, independent of message flow
+        const { staleAfterSeconds, offlineAfterSeconds, expireAfterSeconds, livenessCheckSeconds } = config.health;
+        this.liveness = new NodeLiveness({
+            staleAfterSeconds,
+            offlineAfterSeconds,
+            expireAfterSeconds,
+            checkIntervalSeconds: livenessCheckSeconds,
+            clock: () => this.feedNow()
+        });
+        this.liveness.on('change', (change) => this.handleLivenessChange(change));
+        
+        // Per-node metric time series; replayed samples never go to the history file
+        this.history = new HealthHistory(config.replay.path ? { ...config.history, persistFile: null } : config.history, () => this.feedNow());
+        
+        // Threshold rules over health, orderbook and system state
+        this.alerts = new AlertEngine(config.alerts.rules || DEFAULT_RULES, {
+            resolvedRetention: config.alerts.resolvedRetention,
+            depthCents: config.markets.depthCents
+        });
+        this.alerts.on('alert', (alert) => this.handleAlertChange(alert));
+        this.alertTimer = null;
+        
+        // Webhook/email/command delivery of alerts
+        this.notifier = new AlertNotifier(config.notifications);
+        
+        // Logins, API tokens and per-role visibility
+        this.audit = new AuditLog(config.auth.auditLogFile);
+        this.auth = new Auth(config.auth, this.audit);
+        
+        this.api = new RestApi(this);
+        this.metrics = new MetricsExporter(this);
+        
+        // Redis connections, reconnected with backoff; clients are told when the feed is down
+        this.upstream = new RedisUpstream(config.redis, this.events);
+        this.upstream.on('state', (status) => this.handleUpstreamState(status));
+        this.simulator = null;
+        this.demoTimer = null;
+        
+        // Optional snapshot load on (re)connect; live messages wait for it in the handoff
+        this.bootstrap = new StateBootstrap(config.bootstrap);
+        this.handoff = new FeedHandoff(config.bootstrap.maxHeld);
+        
+        // Raw capture of the feed, and playback of one in place of Redis
+        this.recorder = new FeedRecorder(config.recording);
+        this.replay = config.replay.path ? new FeedReplay(config.replay) : null;
+        this.broadcastMuted = false;
+        if (this.replay) {
+            this.replay.on('message', (entry) => routeFeedMessage(this, config.channels, entry));
+            this.replay.on('seeking', ({ reset }) => this.handleReplaySeeking(reset));
+            this.replay.on('seeked', () => this.handleReplaySeeked());
+            this.replay.on('state', (status) => this.handleReplayState(status));
+        }
     }
     
     async start() {
         console.log('\n🌐 DASHBOARD WEBSOCKET SERVER');
         console.log('==============================');
-        console.log('📡 Connecting to Master Redis: 100.70.127.124:6380');
-        console.log('🌐 Starting WebSocket server on port 8080\n');
-        
-        // Create Redis connections with timeout
-        this.redisClient = redis.createClient({
-            url: 'redis://100.70.127.124:6380',
-            socket: {
-                connectTimeout: 5000,
-                reconnectStrategy: false
-            }
-        });
+        const { host, port } = this.config.server;
+        if (this.replay) {
+            console.log(`⏪ Replaying recording: ${this.config.replay.path}`);
+        } else {
+            console.log(`📡 Connecting to Master Redis: ${describeRedisUrl(this.config.redis.url)}`);
+        }
+        console.log(`🌐 Starting WebSocket server on ${host}:${port}\n`);
         
-        this.redisClient.on('error', (err) => {
-            console.error('❌ Redis Error:', err.message);
-        });
+        this.events.start();
+        this.history.start();
+        this.liveness.start();
+        this.startAlertEvaluation();
         
-        try {
-            console.log('⏳ Attempting to connect to Redis...');
-            await this.redisClient.connect();
-            console.log('✅ Connected to Redis');
-            
-            // Create subscriber
-            this.redisSubscriber = this.redisClient.duplicate();
-            await this.redisSubscriber.connect();
-            console.log('✅ Redis subscriber ready');
-            
-            // Set up Redis subscriptions
-            await this.setupRedisSubscriptions();
-            
-        } catch (error) {
-            console.log('⚠️  Failed to connect to Redis, starting in demo mode...');
-            console.log(`   Error: ${error.message}`);
-            this.startDemoMode();
+        if (this.replay) {
+            await this.startReplay();
+        } else {
+            // Connects in the background and keeps retrying; see handleUpstreamState
+            this.recorder.start();
+            if (this.bootstrap.enabled) {
+                this.handoff.hold();
+            }
+            this.upstream.start((subscriber) => this.setupRedisSubscriptions(subscriber));
         }
         
         // Create HTTP server for serving dashboard
@@ -69,34 +162,84 @@ class DashboardServer {
         });
         
         // Create WebSocket server
+        // Clients that ask for the delta subprotocol get per-level diffs,
+        // everyone else keeps receiving full books
         this.wss = new WebSocket.Server({ 
             server: this.server,
-            path: '/'
+            path: '/',
+            handleProtocols: (protocols) => {
+                return protocols.has(OrderbookDelta.PROTOCOL) ? OrderbookDelta.PROTOCOL : false;
+            },
+            // Upgrades need the same session cookie or API token as HTTP requests
+            verifyClient: ({ req }, done) => {
+                if (!this.auth.checkOrigin(req)) {
+                    const reason = `Origin not allowed: ${req.headers.origin}`;
+                    this.audit.record('websocket_rejected', { ip: req.socket.remoteAddress, reason });
+                    this.events.record('warn', 'client_rejected', `🚫 Rejected client from ${req.socket.remoteAddress}: ${reason}`,
+                        { ip: req.socket.remoteAddress, reason });
+                    done(false, 403, 'Origin not allowed');
+                    return;
+                }
+                
+                const result = this.auth.authenticate(req);
+                if (result.error) {
+                    this.audit.record('websocket_rejected', { ip: req.socket.remoteAddress, reason: result.error });
+                    this.events.record('warn', 'client_rejected', `🚫 Rejected client from ${req.socket.remoteAddress}: ${result.error}`,
+                        { ip: req.socket.remoteAddress, reason: result.error });
+                    done(false, 401, result.error);
+                    return;
+                }
+                req.identity = result.identity;
+                done(true);
+            }
         });
         
         this.wss.on('connection', (ws, req) => {
-            console.log(`🔌 New client connected from ${req.socket.remoteAddress}`);
-            this.clients.add(ws);
+            const ip = req.socket.remoteAddress;
+            this.events.record('info', 'client_connected', `🔌 New client connected from ${ip}${ws.protocol ? ` (${ws.protocol})` : ''}`,
+                { ip, user: req.identity.name, protocol: ws.protocol || null });
+            
+            // Filters can be given up front in the URL so the first snapshot is already narrowed
+            let subscription;
+            try {
+                subscription = ClientSubscription.fromQuery(new URL(req.url, 'http://localhost').searchParams);
+            } catch (error) {
+                this.events.record('warn', 'client_rejected', `⚠️  Rejected client subscription: ${error.message}`, { ip, reason: error.message });
+                ws.close(1008, error.message);
+                return;
+            }
+            
+            const client = new ClientConnection(ws, subscription, req.identity, this.auth, this.config.clients, req.socket.remoteAddress);
+            this.clients.set(ws, client);
             
             // Send cached data to new client
-            this.sendCachedDataToClient(ws);
+            this.sendCachedDataToClient(client);
+            
+            ws.on('message', (message) => {
+                this.handleClientMessage(client, message);
+            });
+            
+            ws.on('pong', () => {
+                client.isAlive = true;
+            });
             
-            ws.on('close', () => {
-                console.log('🔌 Client disconnected');
-                this.clients.delete(ws);
+            ws.on('close', (code) => {
+                this.events.record('info', 'client_disconnected', `🔌 Client disconnected from ${ip}`, { ip, user: req.identity.name, code });
+                this.removeClient(client);
             });
             
             ws.on('error', (error) => {
                 console.error('❌ WebSocket error:', error);
-                this.clients.delete(ws);
+                this.removeClient(client);
             });
         });
+        this.startClientTimers();
         
         // Start HTTP server
-        this.server.listen(8080, () => {
-            console.log('✅ HTTP/WebSocket server started on http://localhost:8080');
+        this.server.listen(port, host, () => {
+            console.log(`✅ HTTP/WebSocket server started on http://${host}:${port}`);
             console.log('🎉 Dashboard server ready!\n');
-            console.log('📊 Open http://localhost:8080 in your browser to view dashboard');
+            console.log(`📊 Open http://localhost:${port} in your browser to view dashboard`);
             console.log('🔄 Broadcasting real-time data from Redis to connected clients\n');
         });
         
@@ -105,7 +248,52 @@ class DashboardServer {
     }
     
     handleHttpRequest(req, res) {
-        const url = req.url === '/' ? '/dashboard.html' : req.url;
+        const pathname = req.url.split('?')[0];
+        const url = pathname === '/' ? '/dashboard.html' : pathname;
+        
+        // Login/logout and the browser copies of src/shared need no session
+        if (url === '/login' || url === '/logout') {
+            this.handleLoginRequest(url, req, res);
+            return;
+        }
+        if (url.startsWith('/shared/')) {
+            this.serveSharedModule(url.slice('/shared/'.length), res);
+            return;
+        }
+        
+        const { identity, error } = this.auth.authenticate(req);
+        if (error) {
+            if (url === '/dashboard.html') {
+                res.writeHead(302, { Location: `/login?next=${encodeURIComponent(req.url)}` });
+                res.end();
+            } else {
+                res.writeHead(401, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+                res.end(JSON.stringify({ error }));
+            }
+            return;
+        }
+        
+        // Client-side settings (WebSocket URL, node rules, staleness threshold, who is logged in)
+        if (url === '/config.json') {
+            const user = this.auth.enabled
+                ? { name: identity.name, role: identity.role, permissions: Array.from(identity.permissions) }
+                : null;
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            res.end(JSON.stringify({ ...publicConfig(this.config), user }));
+            return;
+        }
+        
+        // Prometheus scrape endpoint over the same cache
+        if (url === '/metrics') {
+            this.handleMetricsRequest(req, res, identity);
+            return;
+        }
+        
+        // JSON API over the cached state
+        if (url.startsWith('/api/')) {
+            this.api.handle(req, res, identity);
+            return;
+        }
         
         // Serve dashboard.html from public directory
         if (url === '/dashboard.html') {
@@ -126,53 +314,224 @@ class DashboardServer {
         res.end('Not Found');
     }
     
-    async setupRedisSubscriptions() {
+    handleMetricsRequest(req, res, identity) {
+        const { permissions } = identity;
+        if (!['health', 'orderbooks', 'admin'].some(permission => permissions.has(permission))) {
+            this.audit.record('forbidden', { user: identity.name, role: identity.role, ip: req.socket.remoteAddress, path: '/metrics' });
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('Requires health, orderbooks or admin access');
+            return;
+        }
+        
+        try {
+            const body = this.metrics.render(permissions, new Date(this.feedNow()));
+            res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+            res.end(body);
+        } catch (error) {
+            console.error('❌ Error rendering metrics:', error.message);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error');
+        }
+    }
+    
+    handleLoginRequest(url, req, res) {
+        if (!this.auth.enabled) {
+            res.writeHead(302, { Location: '/' });
+            res.end();
+        } else if (url === '/login' && req.method === 'POST') {
+            this.auth.handleLogin(req, res);
+        } else if (url === '/logout' && req.method === 'POST') {
+            this.auth.handleLogout(req, res);
+        } else if (url === '/login') {
+            res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+            res.end(fs.readFileSync(path.join(__dirname, '../public/login.html'), 'utf8'));
+        } else {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'POST' });
+            res.end('Method Not Allowed');
+        }
+    }
+    
+    serveSharedModule(fileName, res) {
+        // Only plain file names, never paths out of the shared directory
+        if (!/^[\w-]+\.js$/.test(fileName)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+        
+        const filePath = path.join(SHARED_DIR, fileName);
+        if (!fs.existsSync(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/javascript' });
+        res.end(fs.readFileSync(filePath, 'utf8'));
+    }
+    
+    async setupRedisSubscriptions(subscriber) {
+        // Drop demo data before the first real message can arrive
+        if (this.demoTimer) {
+            this.stopDemoMode();
+        }
+        
         console.log('📡 Setting up Redis subscriptions...');
+        const channels = this.config.channels;
         
         // 1. Subscribe to health metrics from all nodes
-        await this.redisSubscriber.pSubscribe('metrics:*', (message, channel) => {
-            const nodeId = channel.split(':')[1];
-            this.handleHealthUpdate(nodeId, message);
+        // Everything goes through the handoff so a bootstrap snapshot is applied in order
+        await subscriber.pSubscribe(channels.metrics, (message, channel) => {
+            this.recorder.record('metrics', channel, message);
+            const nodeId = channelSuffix(channels.metrics, channel);
+            this.handoff.deliver(() => healthKey(nodeId), message, () => this.handleHealthUpdate(nodeId, message));
         });
-        console.log('💓 ✅ Subscribed to health metrics: metrics:*');
+        console.log(`💓 ✅ Subscribed to health metrics: ${channels.metrics}`);
         
         // 2. Subscribe to consolidated orderbook updates
-        await this.redisSubscriber.subscribe('orderbooks', (message) => {
-            this.handleOrderbookUpdate(message);
+        await subscriber.subscribe(channels.orderbooks, (message) => {
+            this.recorder.record('orderbooks', channels.orderbooks, message);
+            this.handoff.deliver(() => orderbookKeyOf(message), message, () => this.handleOrderbookUpdate(message));
         });
-        console.log('📊 ✅ Subscribed to orderbook updates: orderbooks');
+        console.log(`📊 ✅ Subscribed to orderbook updates: ${channels.orderbooks}`);
         
         // 3. Subscribe to market status updates
-        await this.redisSubscriber.pSubscribe('market_status:*', (message, channel) => {
-            const eventId = channel.split(':')[1];
-            this.handleMarketStatusUpdate(eventId, message);
+        await subscriber.pSubscribe(channels.marketStatus, (message, channel) => {
+            this.recorder.record('marketStatus', channel, message);
+            const eventId = channelSuffix(channels.marketStatus, channel);
+            this.handoff.deliver(() => null, message, () => this.handleMarketStatusUpdate(eventId, message));
         });
-        console.log('🔄 ✅ Subscribed to market status: market_status:*');
+        console.log(`🔄 ✅ Subscribed to market status: ${channels.marketStatus}`);
         
         // 4. Subscribe to market discovery
-        await this.redisSubscriber.subscribe('market_discovery', (message) => {
-            this.handleMarketDiscovery(message);
+        await subscriber.subscribe(channels.marketDiscovery, (message) => {
+            this.recorder.record('marketDiscovery', channels.marketDiscovery, message);
+            this.handoff.deliver(() => null, message, () => this.handleMarketDiscovery(message));
         });
         console.log('🔍 ✅ Subscribed to market discovery');
         
         console.log('✅ All Redis subscriptions active\n');
     }
     
-    handleHealthUpdate(nodeId, message) {
+    handleUpstreamState(status) {
+        if (status.state === 'connecting' && status.attempt > 0) {
+            console.log(`⏳ Redis unavailable (attempt ${status.attempt}), retrying at ${status.nextRetryAt}`);
+            // Only before Redis was ever reached; after that cached real data is shown as stale instead
+            if (this.config.redis.demoWhenUnavailable && !this.demoTimer) {
+                console.log('⚠️  Starting in demo mode until Redis is reachable...');
+                this.startDemoMode();
+            }
+        } else if (status.state === 'reconnecting') {
+            // Nodes aren't silent, the feed is: don't age them out meanwhile
+            this.liveness.pause();
+            // Catch up on what was missed from the snapshot once back
+            if (this.bootstrap.enabled) {
+                this.handoff.hold();
+            }
+        } else if (status.state === 'connected') {
+            this.liveness.resume();
+            if (this.handoff.holding) {
+                this.runBootstrap();
+            }
+        }
+        
+        this.broadcast({
+            type: 'upstream_status',
+            upstream: this.upstreamStatus(),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Redis connection state plus where the current data comes from.
+     */
+    upstreamStatus() {
+        if (this.replay) {
+            return { ...this.upstream.status(), state: 'replay', source: 'replay' };
+        }
+        return { ...this.upstream.status(), source: this.demoTimer ? 'demo' : 'redis' };
+    }
+    
+    /**
+     * Epoch ms the feed is at: the wall clock, or while replaying the
+     * recording time reached, so ages and staleness follow the recording.
+     */
+    feedNow() {
+        return this.replay ? this.replay.now() : Date.now();
+    }
+    
+    /**
+     * Whether cached health is current enough to alert on: not while Redis is
+     * down, and not until nodes have had a staleness window to report in after
+     * it comes back.
+     */
+    isFeedSettled(now = this.feedNow()) {
+        if (this.replay) return this.replay.playing;
+        if (this.demoTimer) return true;
+        if (!this.upstream.connected) return false;
+        return now - Date.parse(this.upstream.status().since) >= this.config.health.staleAfterSeconds * 1000;
+    }
+    
+    /**
+     * Load the latest health and books from Redis, then replay the live
+     * messages held meanwhile (see src/state-bootstrap.js).
+     */
+    async runBootstrap() {
+        console.log('🧊 Loading latest state from Redis...');
+        let snapshot = { health: [], orderbooks: [], versions: new Map(), skipped: 0 };
+        try {
+            snapshot = await this.bootstrap.load(this.upstream.client);
+        } catch (error) {
+            console.error('❌ Bootstrap failed, going live without it:', error.message);
+        }
+        
+        // Dropped again while loading: keep holding, the next connect retries
+        if (!this.upstream.connected) return;
+        
+        for (const { nodeId, payload, time } of snapshot.health) {
+            this.handleHealthUpdate(nodeId, JSON.stringify(payload), time);
+        }
+        for (const { payload, time } of snapshot.orderbooks) {
+            this.handleOrderbookUpdate(JSON.stringify(payload), time);
+        }
+        const { replayed, superseded, dropped } = this.handoff.release(snapshot.versions);
+        console.log(`🧊 Bootstrapped ${snapshot.health.length} nodes and ${snapshot.orderbooks.length} books` +
+            ` (${snapshot.skipped} skipped), then ${replayed} live messages` +
+            ` (${superseded} superseded by the snapshot${dropped ? `, ${dropped} dropped` : ''})`);
+    }
+    
+    /**
+     * @param {Date} receivedAt - when the payload was current; earlier for bootstrapped snapshots
+     */
+    handleHealthUpdate(nodeId, message, receivedAt = new Date()) {
         try {
-            const healthData = JSON.parse(message);
+            const healthData = this.validator.check('metrics', message, {
+                channel: channelFor(this.config.channels.metrics, nodeId),
+                producer: nodeId
+            });
+            if (!healthData) return;
+            
+            const role = this.roles.resolve(nodeId, healthData);
+            const now = new Date(this.feedNow());
             
             // Cache the data
             this.healthData.set(nodeId, {
                 ...healthData,
-                lastUpdate: new Date()
+                role,
+                lastUpdate: receivedAt
             });
+            // Simulated samples stay out of the history file
+            this.history.record(nodeId, healthData, receivedAt, Boolean(this.demoTimer));
+            this.liveness.touch(nodeId, receivedAt);
+            this.trackNodeHealth(nodeId, now);
+            const books = this.orderbooksByNode.get(nodeId);
+            this.alerts.evaluateNode(nodeId, this.healthData.get(nodeId), now.getTime(), books ? books.size : 0);
             
             // Broadcast to all connected clients
             this.broadcast({
                 type: 'health_update',
                 nodeId: nodeId,
-                health: healthData,
+                health: { ...healthData, role },
                 timestamp: new Date().toISOString()
             });
             
@@ -181,64 +540,91 @@ class DashboardServer {
         }
     }
     
-    handleOrderbookUpdate(message) {
+    handleOrderbookUpdate(message, receivedAt = new Date()) {
         try {
-            const data = JSON.parse(message);
+            const data = this.validator.check('orderbooks', message, { channel: this.config.channels.orderbooks });
             
-            if (data.type !== 'orderbook_update') return;
+            if (!data || data.type !== 'orderbook_update') return;
             
             const { eventId, nodeId } = data;
             
+            // Late updates must not bring a closed market back
+            if (this.marketStatus.isClosed(eventId)) return;
+            
             // Cache the data
             if (!this.orderbooksByNode.has(nodeId)) {
                 this.orderbooksByNode.set(nodeId, new Map());
             }
             
-            this.orderbooksByNode.get(nodeId).set(eventId, {
+            const previous = this.orderbooksByNode.get(nodeId).get(eventId);
+            const orderbook = {
                 ...data,
-                lastUpdate: new Date()
-            });
+                seq: previous ? previous.seq + 1 : 1,
+                lastUpdate: receivedAt
+            };
+            this.orderbooksByNode.get(nodeId).set(eventId, orderbook);
+            const move = this.ownership.record(eventId, nodeId, receivedAt.getTime());
+            if (move) {
+                this.recordFeedEvent('info', 'ownership_move', `🔀 Market ${eventId} moved ${move.from} → ${move.to}`,
+                    { eventId, from: move.from, to: move.to }, receivedAt);
+            }
+            this.dropOrphanedCopies(eventId, nodeId);
+            this.alerts.evaluateMarket(nodeId, eventId, orderbook, this.feedNow());
             
-            // Broadcast to all connected clients
-            this.broadcast({
-                type: 'orderbook_update',
-                eventId: eventId,
-                nodeId: nodeId,
-                marketA: data.marketA,
-                marketB: data.marketB,
-                timestamp: new Date().toISOString()
-            });
+            this.broadcastOrderbook(nodeId, eventId, previous, orderbook);
             
         } catch (error) {
             console.error('❌ Error processing orderbook update:', error.message);
         }
     }
     
-    handleMarketStatusUpdate(eventId, message) {
+    handleMarketStatusUpdate(eventId, message, receivedAt = new Date()) {
         try {
-            const statusData = JSON.parse(message);
+            const statusData = this.validator.check('marketStatus', message, {
+                channel: channelFor(this.config.channels.marketStatus, eventId)
+            });
+            if (!statusData) return;
+            
+            const change = this.marketStatus.update(eventId, statusData, receivedAt);
+            if (!change) return;
             
             // If market is closed/cleared, remove from cache
-            if (statusData.status === 'CLOSED' || statusData.status === 'CLEARED') {
-                console.log(`🗑️  Removing market ${eventId} (status: ${statusData.status})`);
-                
+            if (change.terminal) {
                 // Remove from all nodes' orderbook maps
+                const nodes = [];
                 for (const [nodeId, nodeOrderbooks] of this.orderbooksByNode) {
-                    if (nodeOrderbooks.has(eventId)) {
-                        nodeOrderbooks.delete(eventId);
-                        console.log(`   📊 Removed ${eventId} from node ${nodeId}`);
+                    if (nodeOrderbooks.delete(eventId)) {
+                        nodes.push(nodeId);
                     }
                 }
+                this.ownership.releaseEvent(eventId);
+                this.recordFeedEvent('info', 'market_removed',
+                    `🗑️  Removed market ${eventId} (status: ${change.status})${nodes.length ? ` from ${nodes.join(', ')}` : ''}`,
+                    { eventId, status: change.status, previousStatus: change.previousStatus, nodes }, receivedAt);
                 
                 // Broadcast market removal
                 this.broadcast({
                     type: 'market_removed',
                     eventId: eventId,
-                    status: statusData.status,
+                    status: change.status,
+                    previousStatus: change.previousStatus,
+                    closedAt: change.since,
                     timestamp: new Date().toISOString()
                 });
+                return;
             }
             
+            this.recordFeedEvent('info', 'market_status', `🏷️  Market ${eventId} ${change.previousStatus || 'NEW'} → ${change.status}`,
+                { eventId, status: change.status, previousStatus: change.previousStatus }, receivedAt);
+            this.broadcast({
+                type: 'market_status',
+                eventId: eventId,
+                status: change.status,
+                previousStatus: change.previousStatus,
+                since: change.since,
+                timestamp: new Date().toISOString()
+            });
+            
         } catch (error) {
             console.error(`❌ Error processing market status for ${eventId}:`, error.message);
         }
@@ -246,8 +632,12 @@ class DashboardServer {
     
     handleMarketDiscovery(message) {
         try {
-            const discoveryData = JSON.parse(message);
+            const discoveryData = this.validator.check('marketDiscovery', message, { channel: this.config.channels.marketDiscovery });
+            if (!discoveryData) return;
+            
+            this.totalMarketsChange = this.totalMarkets > 0 ? discoveryData.totalMarkets - this.totalMarkets : 0;
             this.totalMarkets = discoveryData.totalMarkets;
+            this.alerts.evaluateSystem(this.getSystemStats(), this.feedNow());
             
             // Broadcast market discovery update
             this.broadcast({
@@ -261,243 +651,759 @@ class DashboardServer {
         }
     }
     
+    handleLivenessChange({ nodeId, state, previousState, lastSeen }) {
+        let orphanedMarkets = [];
+        
+        const details = { nodeId, state, previousState, lastSeen };
+        const now = new Date(this.feedNow());
+        if (state === 'offline') {
+            this.recordFeedEvent('warn', 'node_liveness', `⚫ Node ${nodeId} offline (last seen ${lastSeen})`, details, now);
+        } else if (state === 'expired') {
+            orphanedMarkets = this.evictNode(nodeId);
+            this.recordFeedEvent('warn', 'node_liveness', `🗑️  Node ${nodeId} expired and evicted (${orphanedMarkets.length} markets orphaned)`,
+                { ...details, orphanedMarkets: orphanedMarkets.length }, now);
+        } else if (state === 'online' && previousState && previousState !== 'online') {
+            this.recordFeedEvent('info', 'node_liveness', `🟢 Node ${nodeId} back online (was ${previousState})`, details, now);
+        }
+        
+        this.broadcast({
+            type: 'node_state',
+            nodeId,
+            state,
+            previousState,
+            lastSeen,
+            orphanedMarkets,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Forget an expired node's health and flag the markets it served as
+     * orphaned; they stay visible until another node publishes them.
+     * @returns {string[]} orphaned event ids
+     */
+    evictNode(nodeId) {
+        this.healthData.delete(nodeId);
+        this.nodeHealthStates.delete(nodeId);
+        this.history.remove(nodeId);
+        
+        const nodeOrderbooks = this.orderbooksByNode.get(nodeId);
+        if (!nodeOrderbooks) return [];
+        
+        for (const orderbook of nodeOrderbooks.values()) {
+            orderbook.orphaned = true;
+        }
+        return Array.from(nodeOrderbooks.keys());
+    }
+    
+    /**
+     * Once a node publishes an event again, orphaned copies elsewhere are stale.
+     */
+    dropOrphanedCopies(eventId, ownerNodeId) {
+        for (const [nodeId, nodeOrderbooks] of this.orderbooksByNode) {
+            if (nodeId === ownerNodeId) continue;
+            
+            const orderbook = nodeOrderbooks.get(eventId);
+            if (orderbook && orderbook.orphaned) {
+                nodeOrderbooks.delete(eventId);
+                this.ownership.release(eventId, nodeId);
+                if (nodeOrderbooks.size === 0 && !this.healthData.has(nodeId)) {
+                    this.orderbooksByNode.delete(nodeId);
+                }
+            }
+        }
+    }
+    
+    startAlertEvaluation() {
+        this.alertTimer = setInterval(() => {
+            this.updateConsistency();
+            
+            // While the feed is down every node would look silent; only system rules apply
+            if (!this.isFeedSettled()) {
+                this.alerts.evaluateSystem(this.getSystemStats(), this.feedNow());
+                return;
+            }
+            const now = new Date(this.feedNow());
+            for (const nodeId of this.healthData.keys()) {
+                this.trackNodeHealth(nodeId, now);
+            }
+            this.alerts.sweep({
+                healthData: this.healthData,
+                orderbooksByNode: this.orderbooksByNode,
+                events: this.ownership.describeAll(this.isNodeLive),
+                system: this.getSystemStats()
+            }, now.getTime());
+        }, this.config.alerts.evaluateIntervalSeconds * 1000);
+    }
+    
+    /**
+     * Event log entries that follow from feed messages; demo mode's are
+     * marked simulated, so they stay out of the event log file.
+     * @param {Date} time - when it happened in feed time: the triggering
+     *   message's receive time, or feedNow() for what the clock brought on
+     */
+    recordFeedEvent(level, type, message, details, time) {
+        return this.events.record(level, type, message, this.demoTimer ? { ...details, simulated: true } : details, time);
+    }
+    
+    /**
+     * Log a node's move between healthy, unhealthy and stale (see
+     * src/shared/node-health.js). A node seen for the first time is only
+     * logged when it isn't healthy.
+     */
+    trackNodeHealth(nodeId, now) {
+        const { state } = evaluateNodeHealth(this.healthData.get(nodeId), now, this.config.health.staleAfterSeconds);
+        const previousState = this.nodeHealthStates.get(nodeId) || null;
+        if (state === previousState) return;
+        this.nodeHealthStates.set(nodeId, state);
+        
+        const details = { nodeId, state, previousState };
+        if (state === 'unhealthy' || state === 'stale') {
+            this.recordFeedEvent('warn', 'node_health', `🔴 Node ${nodeId} ${state}${previousState ? ` (was ${previousState})` : ''}`, details, now);
+        } else if (state === 'healthy' && previousState) {
+            this.recordFeedEvent('info', 'node_health', `💚 Node ${nodeId} healthy again (was ${previousState})`, details, now);
+        }
+    }
+    
+    /**
+     * Whether a node is still publishing: online, or never sent health at all
+     * (judged by its books alone). Used to tell stale copies from orphans.
+     */
+    isNodeLive = (nodeId) => {
+        const state = this.liveness.stateOf(nodeId);
+        return state === null || state === 'online';
+    };
+    
+    checkConsistency() {
+        return this.ownership.check({
+            healthData: this.healthData,
+            orderbooksByNode: this.orderbooksByNode,
+            totalMarkets: this.totalMarkets,
+            isLive: this.isNodeLive
+        }, this.feedNow());
+    }
+    
+    /**
+     * Re-run the ownership checks; clients only hear about it when something
+     * changed, and the log only when the counts did.
+     */
+    updateConsistency() {
+        const previous = this.consistency;
+        this.consistency = this.checkConsistency();
+        
+        const { checkedAt, ...current } = this.consistency;
+        if (previous) {
+            const { checkedAt: previousAt, ...before } = previous;
+            if (JSON.stringify(before) === JSON.stringify(current)) return;
+        }
+        
+        const { duplicates, staleCopies, nodeCounts, totals } = this.consistency;
+        const summary = `${duplicates.length} duplicated, ${staleCopies.length} stale copies, ` +
+            `${nodeCounts.length} node count mismatches, ${totals.cached} cached vs ${totals.reported ?? 'N/A'} reported`;
+        if (summary !== this.consistencySummary) {
+            this.consistencySummary = summary;
+            if (duplicates.length || staleCopies.length || nodeCounts.length || totals.mismatch) {
+                this.recordFeedEvent('warn', 'market_consistency', `🧭 Market consistency: ${summary}`, {
+                    duplicates: duplicates.length,
+                    staleCopies: staleCopies.length,
+                    nodeCountMismatches: nodeCounts.length,
+                    cached: totals.cached,
+                    reported: totals.reported
+                }, new Date(this.feedNow()));
+            }
+        }
+        this.broadcast({
+            type: 'market_consistency',
+            consistency: this.consistency,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    getSystemStats() {
+        const now = new Date(this.feedNow());
+        let activeMarkets = 0;
+        for (const nodeOrderbooks of this.orderbooksByNode.values()) {
+            activeMarkets += nodeOrderbooks.size;
+        }
+        
+        const healthyNodes = Array.from(this.healthData.values()).filter(health => {
+            return evaluateNodeHealth(health, now, this.config.health.staleAfterSeconds).isHealthy;
+        }).length;
+        
+        return {
+            totalMarkets: this.totalMarkets,
+            totalMarketsChange: this.totalMarketsChange,
+            activeMarkets,
+            cachedEvents: this.ownership.eventCount,
+            totalNodes: this.healthData.size,
+            healthyNodes,
+            upstreamDownSeconds: this.replay || this.upstream.connected || this.demoTimer ? 0 : (now - Date.parse(this.upstream.status().since)) / 1000
+        };
+    }
+    
+    handleAlertChange(alert) {
+        const details = { ...alert.labels, rule: alert.rule, subject: alert.subject, severity: alert.severity, state: alert.state };
+        if (alert.state === 'firing') {
+            this.recordFeedEvent(alert.severity === 'critical' ? 'error' : 'warn', 'alert',
+                `🚨 Alert firing: ${alert.summary} [${alert.subject}]`, details, new Date(alert.firedAt));
+        } else if (alert.state === 'resolved') {
+            this.recordFeedEvent('info', 'alert', `✅ Alert resolved: ${alert.rule} [${alert.subject}]`, details, new Date(alert.resolvedAt));
+        }
+        
+        // Replayed and simulated incidents are for looking at, not for paging anyone
+        if (!this.replay && !this.demoTimer) {
+            this.notifier.notify(alert);
+        }
+        
+        this.broadcast({
+            type: 'alert',
+            alert,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
     broadcast(data) {
+        if (this.broadcastMuted) return;
         const message = JSON.stringify(data);
+        const scope = this.messageScope(data);
+        
+        const key = this.coalescingKey(data);
         
         this.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
+            if (client.accepts(scope)) {
+                client.enqueue(message, key);
+            }
+        });
+    }
+    
+    /**
+     * Queued messages with the same key replace each other on slow clients:
+     * only the latest health per node and the latest book per event matter.
+     */
+    coalescingKey(data) {
+        if (data.type === 'health_update') return `health:${data.nodeId}`;
+        if (data.type === 'upstream_status') return 'upstream';
+        if (data.type === 'replay_status') return 'replay';
+        if (data.type === 'market_consistency') return 'consistency';
+        if (data.type === 'orderbook_update' || data.type === 'orderbook_snapshot') return `book:${data.nodeId}|${data.eventId}`;
+        return null;
+    }
+    
+    /**
+     * The node, role and event a message is about, for subscription matching.
+     * Snapshots and deltas match as orderbook_update whichever protocol the client speaks.
+     */
+    messageScope(data) {
+        const labels = data.alert ? data.alert.labels : {};
+        const nodeId = data.nodeId || labels.nodeId;
+        return {
+            type: data.type === 'orderbook_snapshot' || data.type === 'orderbook_delta' ? 'orderbook_update' : data.type,
+            nodeId,
+            role: nodeId ? this.nodeRole(nodeId) : undefined,
+            eventId: data.eventId || labels.eventId
+        };
+    }
+    
+    nodeRole(nodeId) {
+        const health = this.healthData.get(nodeId);
+        return health ? health.role : this.roles.resolve(nodeId);
+    }
+    
+    startClientTimers() {
+        const { flushIntervalMs, heartbeatIntervalSeconds } = this.config.clients;
+        
+        // Drain rate-limited queues and cut off clients that can't keep up
+        this.clientTimer = setInterval(() => {
+            const now = Date.now();
+            for (const client of this.clients.values()) {
                 try {
-                    client.send(message);
+                    client.flush(now);
                 } catch (error) {
                     console.error('❌ Error sending message to client:', error.message);
-                    this.clients.delete(client);
+                    this.removeClient(client);
+                    continue;
+                }
+                
+                const reason = client.checkLag(now);
+                if (reason) {
+                    this.events.record('warn', 'client_dropped', `⚠️  Disconnecting slow client ${client.remoteAddress}: ${reason}`,
+                        { ip: client.remoteAddress, user: client.identity.name, reason });
+                    this.clientTotals.disconnectedSlow++;
+                    this.removeClient(client);
+                    client.ws.terminate();
                 }
             }
+        }, flushIntervalMs);
+        
+        // Browsers answer pings automatically; no pong since the last ping means the socket is dead
+        this.heartbeatTimer = setInterval(() => {
+            const now = Date.now();
+            for (const client of this.clients.values()) {
+                // Sessions are only checked on upgrade; end the socket when the session ends
+                if (client.identity.expires && now > client.identity.expires) {
+                    this.audit.record('session_expired', { user: client.identity.name, ip: client.remoteAddress });
+                    this.removeClient(client);
+                    client.ws.close(4001, 'Session expired');
+                    continue;
+                }
+
+                if (!client.isAlive) {
+                    this.events.record('warn', 'client_dropped', `💀 Reaping unresponsive client ${client.remoteAddress}`,
+                        { ip: client.remoteAddress, user: client.identity.name, reason: 'unresponsive' });
+                    this.clientTotals.reapedDead++;
+                    this.removeClient(client);
+                    client.ws.terminate();
+                    continue;
+                }
+                client.isAlive = false;
+                client.ws.ping();
+            }
+        }, heartbeatIntervalSeconds * 1000);
+    }
+    
+    removeClient(client) {
+        if (!this.clients.delete(client.ws)) return;
+        
+        client.discard();
+        for (const name of ['sent', 'bytes', 'coalesced', 'dropped']) {
+            this.clientTotals[name] += client.stats[name];
+        }
+    }
+    
+    /**
+     * Totals for closed and open connections, plus one entry per open client.
+     */
+    getClientStats() {
+        const totals = { ...this.clientTotals, connected: this.clients.size, queued: 0 };
+        const clients = [];
+        for (const client of this.clients.values()) {
+            const description = client.describe();
+            for (const name of ['sent', 'bytes', 'coalesced', 'dropped', 'queued']) {
+                totals[name] += description[name];
+            }
+            clients.push(description);
+        }
+        return { totals, clients };
+    }
+    
+    /**
+     * Full book for legacy clients; a per-level delta against the previous
+     * version for delta clients, or a snapshot when there is nothing to diff.
+     */
+    broadcastOrderbook(nodeId, eventId, previous, orderbook) {
+        if (this.broadcastMuted) return;
+        const timestamp = new Date().toISOString();
+        const full = JSON.stringify({
+            type: 'orderbook_update',
+            eventId: eventId,
+            nodeId: nodeId,
+            seq: orderbook.seq,
+            marketA: orderbook.marketA,
+            marketB: orderbook.marketB,
+            timestamp
         });
+        
+        const delta = previous ? OrderbookDelta.diffBook(previous, orderbook) : null;
+        const incremental = JSON.stringify(delta ? {
+            type: 'orderbook_delta',
+            eventId: eventId,
+            nodeId: nodeId,
+            seq: orderbook.seq,
+            marketA: delta.marketA,
+            marketB: delta.marketB,
+            timestamp
+        } : this.orderbookSnapshot(nodeId, eventId, orderbook));
+        
+        const scope = this.messageScope({ type: 'orderbook_update', nodeId, eventId });
+        const key = `book:${nodeId}|${eventId}`;
+        
+        // A delta can't be coalesced with the one before it; if one is still
+        // queued, replace it with a snapshot of whatever the book is at send time
+        const latestSnapshot = () => {
+            const nodeOrderbooks = this.orderbooksByNode.get(nodeId);
+            const latest = nodeOrderbooks && nodeOrderbooks.get(eventId);
+            return latest ? JSON.stringify(this.orderbookSnapshot(nodeId, eventId, latest)) : null;
+        };
+        
+        this.clients.forEach(client => {
+            if (!client.accepts(scope)) return;
+            if (client.protocol === OrderbookDelta.PROTOCOL) {
+                client.enqueue(incremental, key, latestSnapshot);
+            } else {
+                client.enqueue(full, key);
+            }
+        });
+    }
+    
+    orderbookSnapshot(nodeId, eventId, orderbook) {
+        return {
+            type: 'orderbook_snapshot',
+            eventId: eventId,
+            nodeId: nodeId,
+            seq: orderbook.seq,
+            marketA: orderbook.marketA,
+            marketB: orderbook.marketB,
+            orphaned: orderbook.orphaned || false,
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    handleClientMessage(client, message) {
+        try {
+            const data = JSON.parse(message);
+            
+            switch (data.type) {
+                case 'resnapshot': {
+                    // The client saw a sequence gap; resend the whole book
+                    const nodeOrderbooks = this.orderbooksByNode.get(data.nodeId);
+                    const orderbook = nodeOrderbooks && nodeOrderbooks.get(data.eventId);
+                    if (orderbook && client.accepts(this.messageScope({ type: 'orderbook_update', nodeId: data.nodeId, eventId: data.eventId }))) {
+                        client.enqueue(JSON.stringify(this.orderbookSnapshot(data.nodeId, data.eventId, orderbook)), `book:${data.nodeId}|${data.eventId}`);
+                    }
+                    break;
+                }
+                case 'subscribe':
+                case 'unsubscribe': {
+                    // { type, nodes, roles, events, types, replace } — then send what the new filter adds
+                    const previous = new ClientSubscription(client.subscription.toJSON());
+                    client.subscription.update(data.replace ? 'replace' : data.type, data);
+                    client.enqueue(JSON.stringify({
+                        type: 'subscription',
+                        filters: client.subscription.toJSON(),
+                        timestamp: new Date().toISOString()
+                    }));
+                    this.sendCachedDataToClient(client, previous);
+                    break;
+                }
+                case 'replay':
+                    // { type, action, count, time, speed } — playback is shared by every viewer
+                    this.controlReplay(client, data);
+                    break;
+                default:
+                    console.log(`⚠️  Unknown client message type: ${data.type}`);
+            }
+            
+        } catch (error) {
+            if (error instanceof RangeError) {
+                client.enqueue(JSON.stringify({ type: 'error', error: error.message, timestamp: new Date().toISOString() }));
+            } else {
+                console.error('❌ Error processing client message:', error.message);
+            }
+        }
     }
     
-    sendCachedDataToClient(client) {
+    /**
+     * @param {ClientSubscription} [previous] - the client's filter before a change; what
+     *   it already let through is not resent and snapshots are marked `partial`
+     */
+    sendCachedDataToClient(client, previous = null) {
+        const subscription = client.subscription;
+        const wants = (scope) => client.accepts(scope) && !(previous && previous.matches(scope));
+        const send = (data) => {
+            if (wants(this.messageScope(data))) {
+                client.enqueue(JSON.stringify(data), this.coalescingKey(data));
+            }
+        };
+        // Snapshots are filtered entry by entry; after a filter change only new entries go out
+        const sendSnapshot = (data, entries) => {
+            if (client.accepts({ type: data.type }) && (!previous || entries > 0)) {
+                client.enqueue(JSON.stringify(previous ? { ...data, partial: true } : data));
+            }
+        };
+        const nodeScope = (type) => (nodeId) => ({ type, nodeId, role: this.nodeRole(nodeId) });
+        const pick = (object, scopeOf) => Object.fromEntries(Object.entries(object).filter(([key]) => wants(scopeOf(key))));
+        
         try {
+            // Redis connection state first, so the page knows how fresh the rest is
+            send({
+                type: 'upstream_status',
+                upstream: this.upstreamStatus(),
+                timestamp: new Date().toISOString()
+            });
+            if (this.replay) {
+                send({
+                    type: 'replay_status',
+                    replay: this.replay.status(),
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
             // Send cached health data
             for (const [nodeId, healthData] of this.healthData) {
-                client.send(JSON.stringify({
+                send({
                     type: 'health_update',
                     nodeId: nodeId,
                     health: healthData,
                     timestamp: new Date().toISOString()
-                }));
+                });
             }
             
+            // Send server-side liveness so every client shows the same node states
+            const nodeStates = pick(this.liveness.snapshot(), nodeScope('node_states'));
+            sendSnapshot({
+                type: 'node_states',
+                nodes: nodeStates,
+                timestamp: new Date().toISOString()
+            }, Object.keys(nodeStates).length);
+            
+            // Send recent metric history so charts don't start empty
+            const { initialWindowSeconds, initialStepSeconds } = this.config.history;
+            const historyScope = nodeScope('health_history');
+            const history = this.history.snapshot({ windowSeconds: initialWindowSeconds, stepSeconds: initialStepSeconds }, this.feedNow(),
+                nodeId => wants(historyScope(nodeId)));
+            sendSnapshot({
+                type: 'health_history',
+                windowSeconds: initialWindowSeconds,
+                stepSeconds: initialStepSeconds,
+                nodes: history,
+                timestamp: new Date().toISOString()
+            }, Object.keys(history).length);
+            
+            // Send current and recently resolved alerts
+            const alerts = this.alerts.list().filter(alert => wants(this.messageScope({ type: 'alert', alert })));
+            sendSnapshot({
+                type: 'alerts_snapshot',
+                alerts,
+                timestamp: new Date().toISOString()
+            }, alerts.length);
+            
+            // Send market statuses and recently closed markets
+            const marketScope = eventId => ({ type: 'market_statuses', eventId });
+            const markets = pick(this.marketStatus.snapshot(), marketScope);
+            const recentlyClosed = this.marketStatus.recentlyClosed().filter(({ eventId }) => wants(marketScope(eventId)));
+            sendSnapshot({
+                type: 'market_statuses',
+                markets,
+                recentlyClosed,
+                timestamp: new Date().toISOString()
+            }, Object.keys(markets).length + recentlyClosed.length);
+            
             // Send cached orderbook data
+            const wantsDeltas = client.protocol === OrderbookDelta.PROTOCOL;
             for (const [nodeId, nodeOrderbooks] of this.orderbooksByNode) {
                 for (const [eventId, orderbookData] of nodeOrderbooks) {
-                    client.send(JSON.stringify({
+                    if (wantsDeltas) {
+                        send(this.orderbookSnapshot(nodeId, eventId, orderbookData));
+                        continue;
+                    }
+                    send({
                         type: 'orderbook_update',
                         eventId: eventId,
                         nodeId: nodeId,
+                        seq: orderbookData.seq,
                         marketA: orderbookData.marketA,
                         marketB: orderbookData.marketB,
+                        orphaned: orderbookData.orphaned || false,
                         timestamp: new Date().toISOString()
-                    }));
+                    });
                 }
             }
             
             // Send market discovery data
             if (this.totalMarkets > 0) {
-                client.send(JSON.stringify({
+                send({
                     type: 'market_discovery',
                     totalMarkets: this.totalMarkets,
                     timestamp: new Date().toISOString()
-                }));
+                });
             }
             
-            console.log('📤 Sent cached data to new client');
+            if (this.consistency) {
+                send({
+                    type: 'market_consistency',
+                    consistency: this.consistency,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            console.log(`📤 Sent cached data to client${subscription.isEmpty() ? '' : ` (filtered: ${JSON.stringify(subscription)})`}`);
             
         } catch (error) {
             console.error('❌ Error sending cached data to client:', error.message);
         }
     }
     
+    /**
+     * Feed simulated nodes and markets (src/shared/market-simulator.js)
+     * through the live handlers until Redis is reached.
+     */
     startDemoMode() {
         console.log('🎭 Starting demo mode with simulated data...');
+        this.simulator = new Simulator(this.config.simulator, this.config.channels);
         
-        // Generate demo health data
-        this.healthData.set('100.70.127.124', {
-            cpuUsage: 45.2,
-            memoryUsage: 67.8,
-            activeMarkets: 12,
-            cpuCores: 8,
-            loadAverage: 2.34,
-            freeDiskSpaceMB: 45000,
-            isHealthy: true,
-            lastUpdate: new Date()
-        });
-
-        this.healthData.set('100.70.127.125', {
-            cpuUsage: 32.1,
-            memoryUsage: 54.3,
-            activeMarkets: 8,
-            cpuCores: 4,
-            loadAverage: 1.87,
-            freeDiskSpaceMB: 32000,
-            isHealthy: true,
-            lastUpdate: new Date()
+        // Set first: handlers check it to keep simulated data out of history and notifications
+        this.demoTimer = setInterval(() => {
+            this.runSimulator();
+        }, this.simulator.scenario.tickMs);
+        this.runSimulator();
+        
+        console.log(`✅ Demo mode ready with ${this.simulator.nodes.length} simulated nodes and ${this.simulator.events.length} events`);
+    }
+    
+    runSimulator() {
+        for (const entry of this.simulator.tick()) {
+            routeFeedMessage(this, this.config.channels, entry);
+        }
+    }
+    
+    /**
+     * Switch from demo to live data: drop every node, book and alert the demo
+     * produced, and have every page start over from the (empty) live state.
+     */
+    stopDemoMode() {
+        clearInterval(this.demoTimer);
+        this.demoTimer = null;
+        
+        this.clearFeedState(this.simulator.nodeIds());
+        this.simulator = null;
+        console.log('🎭 Demo mode stopped, demo data discarded');
+        
+        this.resetClients({
+            type: 'upstream_status',
+            upstream: this.upstreamStatus(),
+            reset: true,
+            timestamp: new Date().toISOString()
         });
-
-        this.healthData.set('192.168.1.100', {
-            cpuUsage: 28.5,
-            memoryUsage: 42.1,
-            activeMarkets: 6,
-            cpuCores: 4,
-            loadAverage: 1.22,
-            freeDiskSpaceMB: 28000,
-            isHealthy: true,
-            lastUpdate: new Date()
+    }
+    
+    /**
+     * Drop all cached health, books, market state and alerts, plus the
+     * history and liveness of `nodeIds`.
+     */
+    clearFeedState(nodeIds) {
+        for (const nodeId of nodeIds) {
+            this.history.remove(nodeId);
+            this.liveness.forget(nodeId);
+        }
+        this.healthData.clear();
+        this.orderbooksByNode.clear();
+        this.totalMarkets = 0;
+        this.totalMarketsChange = 0;
+        this.marketStatus = new MarketStatusTracker(this.config.markets);
+        this.ownership.clear();
+        this.consistency = null;
+        this.nodeHealthStates.clear();
+        this.alerts.clear();
+    }
+    
+    /**
+     * Have every page drop what it has and start over from the cache.
+     * @param {object} message - sent first, with `reset: true`
+     */
+    resetClients(message) {
+        for (const client of this.clients.values()) {
+            // Not coalesced, so a later status can't replace the reset
+            client.enqueue(JSON.stringify(message));
+            this.sendCachedDataToClient(client);
+        }
+    }
+    
+    async startReplay() {
+        try {
+            await this.replay.load();
+        } catch (error) {
+            console.error('❌ Cannot replay recording:', error.message);
+            process.exit(1);
+        }
+        
+        const status = this.replay.status();
+        console.log(`⏪ Replaying ${status.total} messages from ${status.files.length} file(s), ` +
+            `${status.start} to ${status.end}${this.replay.skipped ? ` (${this.replay.skipped} unreadable lines skipped)` : ''}`);
+        
+        if (this.config.replay.stepped) {
+            this.handleReplayState(status);
+        } else {
+            this.replay.play();
+        }
+    }
+    
+    handleReplaySeeking(reset) {
+        // A seek applies everything up to the target at once; pages get the result, not each step
+        this.broadcastMuted = true;
+        if (reset) {
+            const nodeIds = new Set([...this.history.nodeIds(), ...Object.keys(this.liveness.snapshot())]);
+            this.clearFeedState(nodeIds);
+            this.events.clear();
+        }
+    }
+    
+    handleReplaySeeked() {
+        // Liveness is paused unless playing; age every node to the new position
+        this.liveness.evaluate();
+        this.broadcastMuted = false;
+        this.resetClients({
+            type: 'replay_status',
+            replay: this.replay.status(),
+            reset: true,
+            timestamp: new Date().toISOString()
         });
-
-        // Generate demo orderbook data
-        const sampleOrderbook = {
-            eventId: 'DEMO_EVENT_001',
-            nodeId: '100.70.127.124',
-            marketA: {
-                marketId: 'YES',
-                bids: [
-                    { price: 45, quantity: 1000, count: 3 },
-                    { price: 44, quantity: 1500, count: 5 },
-                    { price: 43, quantity: 800, count: 2 }
-                ],
-                asks: [
-                    { price: 47, quantity: 800, count: 2 },
-                    { price: 48, quantity: 1200, count: 4 },
-                    { price: 49, quantity: 600, count: 1 }
-                ],
-                bestBid: 45,
-                bestAsk: 47,
-                totalOrders: 14
-            },
-            marketB: {
-                marketId: 'NO',
-                bids: [
-                    { price: 52, quantity: 900, count: 2 },
-                    { price: 51, quantity: 1100, count: 3 },
-                    { price: 50, quantity: 700, count: 2 }
-                ],
-                asks: [
-                    { price: 54, quantity: 700, count: 2 },
-                    { price: 55, quantity: 1000, count: 3 },
-                    { price: 56, quantity: 500, count: 1 }
-                ],
-                bestBid: 52,
-                bestAsk: 54,
-                totalOrders: 10
-            },
-            lastUpdate: new Date()
-        };
-
-        const sampleOrderbook2 = {
-            eventId: 'DEMO_EVENT_002',
-            nodeId: '100.70.127.125',
-            marketA: {
-                marketId: 'YES',
-                bids: [
-                    { price: 62, quantity: 750, count: 2 },
-                    { price: 61, quantity: 900, count: 4 }
-                ],
-                asks: [
-                    { price: 64, quantity: 650, count: 3 },
-                    { price: 65, quantity: 800, count: 2 }
-                ],
-                bestBid: 62,
-                bestAsk: 64,
-                totalOrders: 11
-            },
-            marketB: {
-                marketId: 'NO',
-                bids: [
-                    { price: 35, quantity: 1200, count: 3 },
-                    { price: 34, quantity: 800, count: 2 }
-                ],
-                asks: [
-                    { price: 37, quantity: 900, count: 2 },
-                    { price: 38, quantity: 1100, count: 4 }
-                ],
-                bestBid: 35,
-                bestAsk: 37,
-                totalOrders: 11
-            },
-            lastUpdate: new Date()
-        };
-
-        // Set up demo orderbooks
-        this.orderbooksByNode.set('100.70.127.124', new Map([
-            ['DEMO_EVENT_001', sampleOrderbook]
-        ]));
-        
-        this.orderbooksByNode.set('100.70.127.125', new Map([
-            ['DEMO_EVENT_002', sampleOrderbook2]
-        ]));
-
-        this.totalMarkets = 25;
-
-        // Update demo data periodically
-        setInterval(() => {
-            this.updateDemoData();
-        }, 5000);
+    }
+    
+    handleReplayState(status) {
+        // A paused recording is a frozen feed, not silent nodes
+        if (status.state === 'playing') {
+            this.liveness.resume();
+        } else {
+            this.liveness.pause();
+            this.liveness.evaluate();
+        }
         
-        console.log('✅ Demo mode ready with sample data');
+        this.broadcast({
+            type: 'replay_status',
+            replay: status,
+            timestamp: new Date().toISOString()
+        });
     }
     
-    updateDemoData() {
-        // Update health metrics with random variations
-        for (const [nodeId, health] of this.healthData) {
-            health.cpuUsage += (Math.random() - 0.5) * 10;
-            health.cpuUsage = Math.max(0, Math.min(100, health.cpuUsage));
-            health.memoryUsage += (Math.random() - 0.5) * 5;
-            health.memoryUsage = Math.max(0, Math.min(100, health.memoryUsage));
-            health.lastUpdate = new Date();
-            
-            // Broadcast updated health data
-            this.broadcast({
-                type: 'health_update',
-                nodeId: nodeId,
-                health: health,
-                timestamp: new Date().toISOString()
-            });
+    controlReplay(client, data) {
+        if (!this.replay) {
+            throw new RangeError('Not replaying a recording');
         }
-
-        // Occasionally update orderbook prices
-        if (Math.random() < 0.3) {
-            for (const [nodeId, nodeOrderbooks] of this.orderbooksByNode) {
-                for (const [eventId, orderbook] of nodeOrderbooks) {
-                    // Update some bid/ask prices
-                    if (orderbook.marketA.bids.length > 0) {
-                        orderbook.marketA.bids[0].price += Math.random() > 0.5 ? 1 : -1;
-                        orderbook.marketA.bestBid = orderbook.marketA.bids[0].price;
-                    }
-                    if (orderbook.marketA.asks.length > 0) {
-                        orderbook.marketA.asks[0].price += Math.random() > 0.5 ? 1 : -1;
-                        orderbook.marketA.bestAsk = orderbook.marketA.asks[0].price;
-                    }
-                    
-                    orderbook.lastUpdate = new Date();
-                    
-                    // Broadcast updated orderbook
-                    this.broadcast({
-                        type: 'orderbook_update',
-                        eventId: eventId,
-                        nodeId: nodeId,
-                        marketA: orderbook.marketA,
-                        marketB: orderbook.marketB,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
+        if (!client.identity.permissions.has('admin')) {
+            throw new RangeError('Replay controls need the admin permission');
         }
+        
+        switch (data.action) {
+            case 'play':
+                this.replay.play();
+                break;
+            case 'pause':
+                this.replay.pause();
+                break;
+            case 'step':
+                this.replay.step(data.count === undefined ? 1 : data.count);
+                break;
+            case 'seek':
+                this.replay.seek(typeof data.time === 'string' ? Date.parse(data.time) : data.time);
+                break;
+            case 'speed':
+                this.replay.setSpeed(Number(data.speed));
+                break;
+            default:
+                throw new RangeError(`Unknown replay action: ${data.action}`);
+        }
+        console.log(`⏪ Replay ${data.action} by ${client.identity.name}`);
     }
     
     async stop() {
         console.log('\n🛑 Shutting down dashboard server...');
         
+        // Flush metric history to disk if persistence is enabled
+        this.history.stop();
+        this.liveness.stop();
+        
+        if (this.alertTimer) {
+            clearInterval(this.alertTimer);
+        }
+        clearInterval(this.clientTimer);
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.demoTimer);
+        this.notifier.stop();
+        if (this.replay) {
+            this.replay.stop();
+        }
+        await this.recorder.stop();
+        
         // Close WebSocket server
         if (this.wss) {
             this.wss.close();
@@ -509,16 +1415,7 @@ class DashboardServer {
         }
         
         // Close Redis connections
-        try {
-            if (this.redisSubscriber && this.redisSubscriber.isOpen) {
-                await this.redisSubscriber.quit();
-            }
-            if (this.redisClient && this.redisClient.isOpen) {
-                await this.redisClient.quit();
-            }
-        } catch (error) {
-            console.log('⚠️  Redis connections already closed');
-        }
+        await this.upstream.stop();
         
         console.log('✅ Dashboard server stopped');
         console.log('🎉 Server shutdown complete!');
@@ -526,6 +1423,18 @@ class DashboardServer {
     }
 }
 
+module.exports = DashboardServer;
+
 // Start the dashboard server
-const server = new DashboardServer();
-server.start().catch(console.error); 
\ No newline at end of file
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    const server = new DashboardServer(config);
+    server.start().catch(console.error);
+}
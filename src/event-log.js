@@ -0,0 +1,228 @@
+/**
+ * 🗒️ EVENT LOG
+ * What happened, as opposed to what the feed says now: Redis errors, client
+ * connects and disconnects, market status changes and removals, node
+ * liveness and health transitions, ownership moves and alerts.
+ *
+ * Every entry is echoed to the console, kept in memory for /api/events and
+ * the page's timeline, and appended to a JSON-lines file when `dir` is set:
+ *
+ *   {"id":42,"time":"2026-10-19T12:00:00.000Z","level":"warn","type":"node_health","message":"🔴 Node 10.0.0.5 unhealthy (was healthy)","nodeId":"10.0.0.5","state":"unhealthy","previousState":"healthy"}
+ *
+ * Files are events-YYYYMMDD-HHMMSS.jsonl; a new one is started every
+ * `rotateMinutes` or `rotateMaxMB`, and the oldest are deleted beyond
+ * `maxFiles`. Entries below `level` are echoed but not kept. Entries marked
+ * `simulated` (derived from demo mode's feed) are never written to the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { fileStamp } = require('./feed-recorder');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FILE_PATTERN = /^events-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.jsonl$/;
+
+function fileStart(name) {
+    const [, year, month, day, hours, minutes, seconds] = name.match(FILE_PATTERN);
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * @returns {number} the level's rank, for comparing severities
+ */
+function levelRank(level) {
+    const rank = LEVELS.indexOf(level);
+    if (rank === -1) {
+        throw new RangeError(`Unknown level: ${level} (expected one of ${LEVELS.join(', ')})`);
+    }
+    return rank;
+}
+
+class EventLog extends EventEmitter {
+    /**
+     * @param {object} options - the `events` config section
+     * @param {string|null} options.dir - directory for the JSON-lines files, null for memory only
+     * @param {string} options.level - least severe level kept: debug, info, warn or error
+     * @param {number} options.bufferSize - entries kept in memory
+     */
+    constructor({ dir = null, level = 'info', bufferSize = 1000, rotateMinutes = 1440, rotateMaxMB = 64, maxFiles = 30 } = {}) {
+        super();
+        this.dir = dir;
+        this.minRank = levelRank(level);
+        this.bufferSize = bufferSize;
+        this.rotateMinutes = rotateMinutes;
+        this.rotateMaxMB = rotateMaxMB;
+        this.maxFiles = maxFiles;
+
+        this.entries = [];          // oldest first
+        this.nextId = 1;
+        this.file = null;
+        this.openedAt = 0;
+        this.bytes = 0;
+        this.stats = { recorded: 0, written: 0, errors: 0 };
+    }
+
+    /**
+     * Pick up where the last run's files left off, so the timeline survives restarts.
+     */
+    start() {
+        if (!this.dir) return;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        const files = this.listFiles();
+        for (let i = files.length - 1; i >= 0 && this.entries.length < this.bufferSize; i--) {
+            this.entries = this.readFile(files[i]).concat(this.entries);
+        }
+        this.entries.splice(0, Math.max(0, this.entries.length - this.bufferSize));
+        this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id + 1), 1);
+        console.log(`🗒️  Writing event log to ${path.resolve(this.dir)} (${this.entries.length} earlier events loaded)`);
+    }
+
+    /**
+     * @param {string} level - debug, info, warn or error
+     * @param {string} type - e.g. redis_error, client_connected, market_removed, node_health
+     * @param {string} message - one line for people; echoed to the console as is
+     * @param {object} [details] - structured fields: nodeId, eventId, ip, state, simulated...
+     * @returns {object|null} the entry, or null when below the configured level
+     */
+    record(level, type, message, details = {}, time = new Date()) {
+        if (level === 'error') {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+        if (levelRank(level) < this.minRank) return null;
+
+        const entry = { id: this.nextId++, time: time.toISOString(), level, type, message, ...details };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.bufferSize) {
+            this.entries.splice(0, this.entries.length - this.bufferSize);
+        }
+        this.stats.recorded++;
+        if (this.dir && !entry.simulated) {
+            this.write(entry, time.getTime());
+        }
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    // Synchronous, like the audit log, so nothing is lost on a crash; events are rare next to feed messages
+    write(entry, time) {
+        try {
+            if (!this.file || time - this.openedAt >= this.rotateMinutes * 60000 || this.bytes >= this.rotateMaxMB * 1048576) {
+                this.rotate(time);
+            }
+            const line = JSON.stringify(entry) + '\n';
+            fs.appendFileSync(this.file, line);
+            this.bytes += Buffer.byteLength(line);
+            this.stats.written++;
+        } catch (error) {
+            this.stats.errors++;
+            console.error('❌ Failed to write event log:', error.message);
+        }
+    }
+
+    rotate(time) {
+        this.file = path.join(this.dir, `events-${fileStamp(time)}.jsonl`);
+        this.openedAt = time;
+        this.bytes = 0;
+        this.prune();
+    }
+
+    /**
+     * Delete the oldest files beyond maxFiles (0 keeps everything).
+     */
+    prune() {
+        if (!this.maxFiles) return;
+
+        try {
+            const files = this.listFiles();
+            for (const name of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+                fs.unlinkSync(path.join(this.dir, name));
+            }
+        } catch (error) {
+            console.error('❌ Error pruning event log:', error.message);
+        }
+    }
+
+    // Oldest first
+    listFiles() {
+        return fs.readdirSync(this.dir).filter(name => FILE_PATTERN.test(name)).sort();
+    }
+
+    // Skips lines that don't parse, e.g. one cut short by a crash
+    readFile(name) {
+        const entries = [];
+        for (const line of fs.readFileSync(path.join(this.dir, name), 'utf8').split('\n')) {
+            if (!line) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Ignored, see above
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Entries newest first. Answered from memory, plus the files' older
+     * entries when `from` reaches back past the oldest entry held.
+     * @param {object} filters
+     * @param {number|null} filters.from - epoch ms
+     * @param {number|null} filters.to - epoch ms
+     * @param {Set|null} filters.types
+     * @param {string} filters.level - least severe level returned
+     * @param {Set|null} filters.nodeIds
+     * @param {Set|null} filters.eventIds
+     * @throws {RangeError} on an unknown level
+     */
+    query({ from = null, to = null, types = null, level = 'debug', nodeIds = null, eventIds = null, limit = 100 } = {}) {
+        const minRank = levelRank(level);
+        const oldest = this.entries.length ? Date.parse(this.entries[0].time) : Infinity;
+        let source = this.entries;
+        if (this.dir && from !== null && from < oldest) {
+            const firstId = this.entries.length ? this.entries[0].id : Infinity;
+            source = this.readRange(from, to).filter(entry => entry.id < firstId).concat(this.entries);
+        }
+
+        const matches = [];
+        for (let i = source.length - 1; i >= 0 && matches.length < limit; i--) {
+            const entry = source[i];
+            const time = Date.parse(entry.time);
+            // Not a stopping point: feed events carry the feed's time, which jumps back on a replay seek
+            if (from !== null && time < from) continue;
+            if (to !== null && time > to) continue;
+            if (types && !types.has(entry.type)) continue;
+            if (LEVELS.indexOf(entry.level) < minRank) continue;
+            if (nodeIds && !nodeIds.has(entry.nodeId)) continue;
+            if (eventIds && !eventIds.has(entry.eventId)) continue;
+            matches.push(entry);
+        }
+        return matches;
+    }
+
+    /**
+     * Entries from the files that may hold [from, to], oldest first. A file
+     * covers the time from its name up to the next file's.
+     */
+    readRange(from, to) {
+        const files = this.listFiles();
+        let entries = [];
+        files.forEach((name, i) => {
+            const start = fileStart(name);
+            const end = i + 1 < files.length ? fileStart(files[i + 1]) : Infinity;
+            if (end < from || (to !== null && start > to)) return;
+            entries = entries.concat(this.readFile(name));
+        });
+        return entries;
+    }
+
+    // Replay seeks start the recording over; so does its timeline
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = { EventLog, LEVELS, FILE_PATTERN };
@@ -0,0 +1,151 @@
+/**
+ * 📼 FEED RECORDER
+ * Captures every message received on the four Redis subscriptions, exactly
+ * as received, so an incident can be replayed later (see src/feed-replay.js).
+ *
+ * Files are gzip'd newline-delimited JSON, one line per message:
+ *
+ *   {"time":1760870400123,"subscription":"metrics","channel":"metrics:10.0.0.5","message":"{...}"}
+ *
+ * `subscription` is the key in the `channels` config section; `time` is the
+ * receive time in epoch milliseconds. A new file (feed-YYYYMMDD-HHMMSS.ndjson.gz)
+ * is started every `rotateMinutes` or `rotateMaxMB` of uncompressed data, and
+ * the oldest are deleted beyond `maxFiles`. The stream is flushed every
+ * second, so a crash loses at most that much; replay reads truncated files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const FILE_PATTERN = /^feed-\d{8}-\d{6}\.ndjson\.gz$/;
+const FLUSH_INTERVAL_MS = 1000;
+
+function fileStamp(time) {
+    const iso = new Date(time).toISOString();
+    return `${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 19).replace(/:/g, '')}`;
+}
+
+class FeedRecorder {
+    /**
+     * @param {object} options - the `recording` config section
+     */
+    constructor(options) {
+        this.options = options;
+        this.gzip = null;
+        this.output = null;
+        this.file = null;
+        this.openedAt = 0;
+        this.bytes = 0;
+        this.flushTimer = null;
+        this.stats = { recorded: 0, files: 0, errors: 0 };
+    }
+
+    get enabled() {
+        return Boolean(this.options.dir);
+    }
+
+    start() {
+        if (!this.enabled) return;
+
+        fs.mkdirSync(this.options.dir, { recursive: true });
+        this.flushTimer = setInterval(() => {
+            if (this.gzip) this.gzip.flush();
+        }, FLUSH_INTERVAL_MS);
+        console.log(`📼 Recording feed to ${path.resolve(this.options.dir)}`);
+    }
+
+    /**
+     * @param {string} subscription - metrics, orderbooks, marketStatus or marketDiscovery
+     * @param {string} channel - the channel the message arrived on
+     * @param {string} message - raw payload, recorded even if it doesn't parse
+     */
+    record(subscription, channel, message, time = Date.now()) {
+        if (!this.enabled) return;
+
+        try {
+            if (!this.gzip || this.isDue(time)) {
+                this.rotate(time);
+            }
+            const line = JSON.stringify({ time, subscription, channel, message }) + '\n';
+            this.gzip.write(line);
+            this.bytes += Buffer.byteLength(line);
+            this.stats.recorded++;
+        } catch (error) {
+            this.stats.errors++;
+            console.error('❌ Error recording feed message:', error.message);
+        }
+    }
+
+    isDue(time) {
+        const { rotateMinutes, rotateMaxMB } = this.options;
+        return time - this.openedAt >= rotateMinutes * 60000 || this.bytes >= rotateMaxMB * 1048576;
+    }
+
+    rotate(time) {
+        this.close();
+
+        this.file = path.join(this.options.dir, `feed-${fileStamp(time)}.ndjson.gz`);
+        const gzip = zlib.createGzip();
+        const output = fs.createWriteStream(this.file, { flags: 'a' });
+        output.on('error', (error) => {
+            this.stats.errors++;
+            console.error(`❌ Error writing recording ${this.file}:`, error.message);
+            // Start over with a fresh file on the next message
+            if (this.gzip === gzip) {
+                this.gzip = null;
+                this.output = null;
+            }
+        });
+        gzip.pipe(output);
+
+        this.gzip = gzip;
+        this.output = output;
+        this.openedAt = time;
+        this.bytes = 0;
+        this.stats.files++;
+        this.prune();
+    }
+
+    /**
+     * Delete the oldest recordings beyond maxFiles (0 keeps everything).
+     */
+    prune() {
+        const { dir, maxFiles } = this.options;
+        if (!maxFiles) return;
+
+        try {
+            const files = fs.readdirSync(dir).filter(name => FILE_PATTERN.test(name)).sort();
+            for (const name of files.slice(0, Math.max(0, files.length - maxFiles))) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        } catch (error) {
+            console.error('❌ Error pruning recordings:', error.message);
+        }
+    }
+
+    /**
+     * End the current file; resolves once it is completely on disk.
+     */
+    close() {
+        const { gzip, output } = this;
+        this.gzip = null;
+        this.output = null;
+        if (!gzip) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            output.once('close', resolve);
+            gzip.end();
+        });
+    }
+
+    async stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        await this.close();
+    }
+}
+
+module.exports = { FeedRecorder, FILE_PATTERN, fileStamp };
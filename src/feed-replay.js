@@ -0,0 +1,440 @@
+/**
+ * ⏪ FEED REPLAY
+ * Plays a recording made by FeedRecorder back through the same handlers the
+ * live subscriptions use, instead of connecting to Redis.
+ *
+ * `path` is one recording or a directory of them. Each file is read once on
+ * load to find its time range, then played by streaming the files merged in
+ * time order, with at most READ_AHEAD messages held in memory, so a full
+ * recording directory plays in constant memory. Seeking back replays from the
+ * start of the recording. A truncated last file (the recorder was killed)
+ * plays up to where it ends.
+ *
+ * play(), pause(), step(), seek() and setSpeed() check their arguments at
+ * once (RangeError) and return a promise for when the change is applied;
+ * they run one at a time, in call order.
+ *
+ * Emits:
+ *   'message' { time, subscription, channel, message } - apply it
+ *   'seeking' { reset }  - a seek starts; when `reset`, the recording restarts
+ *                          from the beginning, so drop all state first; every
+ *                          message up to the target follows at once
+ *   'seeked'             - the seek is done
+ *   'state'   status()   - play/pause/speed/position changed
+ *
+ * While replaying, "now" is the recording time reached (now()), not the
+ * wall clock, and messages are handled as received at their recorded time
+ * (routeFeedMessage), so ages, staleness and history follow the recording
+ * at any speed and across seeks.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { FILE_PATTERN } = require('./feed-recorder');
+const { channelSuffix } = require('./config');
+
+const MAX_SPEED = 1000;
+// Messages read ahead of playback
+const READ_AHEAD = 10000;
+
+function parseLine(line, counts) {
+    if (!line) return null;
+    try {
+        const entry = JSON.parse(line);
+        if (Number.isFinite(entry.time) && entry.subscription && typeof entry.message === 'string') {
+            return entry;
+        }
+    } catch (error) {
+        // Counted below; the last line of a truncated file is usually partial
+    }
+    counts.skipped++;
+    return null;
+}
+
+/**
+ * The messages in one recording file, in file order. Unreadable lines are
+ * counted in `counts.skipped`.
+ */
+async function* readEntries(file, counts) {
+    const source = fs.createReadStream(file);
+    const input = file.endsWith('.gz')
+        // Sync flush returns what there is of a file cut off mid-stream
+        ? pipeline(source, zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }), () => {})
+        : source;
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+
+    try {
+        for await (const chunk of input) {
+            const lines = (rest + decoder.write(chunk)).split('\n');
+            rest = lines.pop();
+            for (const line of lines) {
+                const entry = parseLine(line, counts);
+                if (entry) yield entry;
+            }
+        }
+    } catch (error) {
+        console.warn(`⚠️  Recording ${path.basename(file)} is unreadable past some point (${error.message}); playing what came before`);
+    }
+
+    const entry = parseLine(rest + decoder.end(), counts);
+    if (entry) yield entry;
+}
+
+/**
+ * One pass over a file for its time range and message count.
+ */
+async function indexFile(file) {
+    const info = { file, start: Infinity, end: -Infinity, count: 0, skipped: 0 };
+    for await (const entry of readEntries(file, info)) {
+        info.start = Math.min(info.start, entry.time);
+        info.end = Math.max(info.end, entry.time);
+        info.count++;
+    }
+    return info;
+}
+
+/**
+ * Messages from several files merged into time order. A file is only opened
+ * once the merge reaches its first message, so just files that overlap
+ * (two recorders shared a directory) are read side by side.
+ */
+class RecordingReader {
+    /**
+     * @param {object[]} files - indexFile() results, by start time
+     */
+    constructor(files) {
+        this.pending = files.slice();
+        this.open = [];           // { iterator, head }: files being read and their next message
+        this.done = false;
+    }
+
+    /**
+     * @returns {Promise<object|null>} the next message, null once all are read
+     */
+    async next() {
+        while (this.pending.length > 0 && (this.open.length === 0 || this.pending[0].start <= this.earliest().head.time)) {
+            const iterator = readEntries(this.pending.shift().file, { skipped: 0 });
+            const { value, done } = await iterator.next();
+            if (!done) this.open.push({ iterator, head: value });
+        }
+        if (this.open.length === 0) {
+            this.done = true;
+            return null;
+        }
+
+        const source = this.earliest();
+        const entry = source.head;
+        const { value, done } = await source.iterator.next();
+        if (done) {
+            this.open.splice(this.open.indexOf(source), 1);
+        } else {
+            source.head = value;
+        }
+        return entry;
+    }
+
+    earliest() {
+        return this.open.reduce((earliest, source) => (source.head.time < earliest.head.time ? source : earliest));
+    }
+
+    async close() {
+        const open = this.open;
+        this.open = [];
+        this.pending = [];
+        this.done = true;
+        for (const source of open) await source.iterator.return();
+    }
+}
+
+class FeedReplay extends EventEmitter {
+    /**
+     * @param {object} options - the `replay` config section
+     */
+    constructor(options) {
+        super();
+        this.options = options;
+        this.files = [];          // indexFile() results, by start time
+        this.total = 0;
+        this.skipped = 0;
+        this.start = 0;
+        this.end = 0;
+
+        this.reader = null;
+        this.buffer = [];         // read-ahead, from `head` on
+        this.head = 0;
+        this.index = 0;           // messages emitted since the start of the recording
+        this.position = 0;        // recording time reached, epoch ms
+        this.playing = false;
+        this.speed = options.speed;
+        this.anchor = null;       // { wall, time }: recording time `time` was reached at wall clock `wall`
+        this.timer = null;
+        this.queue = Promise.resolve();
+    }
+
+    get ended() {
+        return this.index >= this.total || (this.head >= this.buffer.length && this.reader.done);
+    }
+
+    async load() {
+        const target = this.options.path;
+        const names = fs.statSync(target).isDirectory()
+            ? fs.readdirSync(target).filter(name => FILE_PATTERN.test(name)).sort().map(name => path.join(target, name))
+            : [target];
+
+        const files = [];
+        for (const file of names) {
+            files.push(await indexFile(file));
+        }
+        this.total = files.reduce((sum, info) => sum + info.count, 0);
+        this.skipped = files.reduce((sum, info) => sum + info.skipped, 0);
+        if (this.total === 0) {
+            throw new Error(`No recorded messages in ${target}`);
+        }
+
+        // Files can overlap if two recorders shared a directory
+        this.files = files.filter(info => info.count > 0).sort((a, b) => a.start - b.start);
+        this.start = Math.min(...this.files.map(info => info.start));
+        this.end = Math.max(...this.files.map(info => info.end));
+        await this.rewind();
+    }
+
+    // ---- Read-ahead ------------------------------------------------------------
+
+    async rewind() {
+        if (this.reader) await this.reader.close();
+        this.reader = new RecordingReader(this.files);
+        this.buffer = [];
+        this.head = 0;
+        this.index = 0;
+        this.position = this.start;
+        await this.fill();
+    }
+
+    async fill() {
+        this.buffer = this.buffer.slice(this.head);
+        this.head = 0;
+        while (this.buffer.length < READ_AHEAD) {
+            const entry = await this.reader.next();
+            if (!entry) break;
+            this.buffer.push(entry);
+        }
+    }
+
+    /**
+     * The next message, reading ahead if the buffer has run out.
+     * @returns {Promise<object|undefined>} undefined at the end
+     */
+    async peek() {
+        if (this.head >= this.buffer.length && !this.reader.done) await this.fill();
+        return this.ended ? undefined : this.buffer[this.head];
+    }
+
+    emitNext() {
+        const entry = this.buffer[this.head];
+        this.buffer[this.head++] = undefined;
+        this.index++;
+        this.emit('message', entry);
+        return entry;
+    }
+
+    // ---- Controls ----------------------------------------------------------------
+
+    enqueue(operation) {
+        this.queue = this.queue.then(operation).catch((error) => {
+            console.error('❌ Replay error:', error.message);
+        });
+        return this.queue;
+    }
+
+    play() {
+        return this.enqueue(async () => {
+            if (this.playing) return;
+            if (this.ended) {
+                await this.seekTo(this.start);
+            }
+            this.playing = true;
+            this.schedule();
+            this.emitState();
+        });
+    }
+
+    pause() {
+        return this.enqueue(() => this.halt());
+    }
+
+    async halt() {
+        if (!this.playing) return;
+        await this.advance();
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emitState();
+    }
+
+    /**
+     * @param {number} speed - playback rate, 1 being real time
+     */
+    setSpeed(speed) {
+        if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_SPEED) {
+            throw new RangeError(`Replay speed must be between 0 and ${MAX_SPEED}`);
+        }
+        return this.enqueue(async () => {
+            if (this.playing) await this.advance();
+            this.speed = speed;
+            if (this.playing) this.schedule();
+            this.emitState();
+        });
+    }
+
+    /**
+     * Pause, then emit the next `count` messages.
+     */
+    step(count = 1) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new RangeError('Step count must be a positive integer');
+        }
+        return this.enqueue(async () => {
+            await this.halt();
+            for (let i = 0; i < count && await this.peek(); i++) {
+                this.position = this.emitNext().time;
+            }
+            this.emitState();
+        });
+    }
+
+    /**
+     * Jump to a recording time; going back replays from the beginning.
+     * @param {number} time - epoch ms, clamped to the recording
+     */
+    seek(time) {
+        if (!Number.isFinite(time)) {
+            throw new RangeError('Seek time must be a timestamp');
+        }
+        return this.enqueue(async () => {
+            await this.seekTo(time);
+            if (this.playing) this.schedule();
+            this.emitState();
+        });
+    }
+
+    async seekTo(time) {
+        const target = Math.min(this.end, Math.max(this.start, time));
+        const reset = target < this.position;
+
+        this.emit('seeking', { reset });
+        if (reset) {
+            await this.rewind();
+        }
+        let next;
+        while ((next = await this.peek()) && next.time <= target) {
+            this.position = this.emitNext().time;
+        }
+        this.position = target;
+        this.emit('seeked');
+    }
+
+    /**
+     * Emit everything due by now at the current speed.
+     */
+    async advance(now = Date.now()) {
+        const clock = Math.min(this.end, this.anchor.time + (now - this.anchor.wall) * this.speed);
+        let next;
+        while ((next = await this.peek()) && next.time <= clock) {
+            this.emitNext();
+        }
+        this.position = Math.max(this.position, clock);
+    }
+
+    /**
+     * The recording time playback has reached, i.e. what "now" is for the
+     * replayed data. Moves with the wall clock while playing.
+     */
+    now(wall = Date.now()) {
+        if (!this.playing || !this.anchor) return this.position;
+        return Math.min(this.end, Math.max(this.position, this.anchor.time + (wall - this.anchor.wall) * this.speed));
+    }
+
+    /**
+     * Set the timer for the next message. Every control reads ahead before
+     * getting here, so the next message is already buffered.
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.anchor = { wall: Date.now(), time: this.position };
+        if (this.ended) {
+            this.playing = false;
+            console.log('⏹️  Replay reached the end of the recording');
+            this.emitState();
+            return;
+        }
+
+        const next = this.buffer[this.head];
+        const delay = next ? (next.time - this.position) / this.speed : 0;
+        this.timer = setTimeout(() => {
+            this.enqueue(async () => {
+                if (!this.playing) return;
+                await this.advance();
+                this.schedule();
+            });
+        }, Math.max(0, delay));
+    }
+
+    emitState() {
+        this.emit('state', this.status());
+    }
+
+    status() {
+        const iso = (time) => new Date(time).toISOString();
+        return {
+            state: this.playing ? 'playing' : this.ended ? 'ended' : 'paused',
+            speed: this.speed,
+            position: iso(this.position),
+            start: iso(this.start),
+            end: iso(this.end),
+            index: this.index,
+            total: this.total,
+            files: this.files.map(info => path.basename(info.file))
+        };
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.playing = false;
+        if (this.reader) {
+            this.reader.close().catch(() => {});
+        }
+    }
+}
+
+/**
+ * Route a recorded or simulated message to the handler its subscription
+ * feeds when live. Recorded messages are handled as received at their
+ * recorded `time`; simulated ones, which have none, as received now.
+ * @param {object} target - the dashboard server or console monitor
+ * @param {object} channels - the `channels` config section
+ */
+function routeFeedMessage(target, channels, { time, subscription, channel, message }) {
+    const receivedAt = time === undefined ? new Date() : new Date(time);
+    switch (subscription) {
+        case 'metrics':
+            target.handleHealthUpdate(channelSuffix(channels.metrics, channel), message, receivedAt);
+            break;
+        case 'orderbooks':
+            target.handleOrderbookUpdate(message, receivedAt);
+            break;
+        case 'marketStatus':
+            target.handleMarketStatusUpdate(channelSuffix(channels.marketStatus, channel), message, receivedAt);
+            break;
+        case 'marketDiscovery':
+            target.handleMarketDiscovery(message);
+            break;
+    }
+}
+
+module.exports = { FeedReplay, routeFeedMessage };
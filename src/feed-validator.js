@@ -0,0 +1,158 @@
+/**
+ * 🧾 FEED VALIDATOR
+ * Runs every incoming message through src/message-schemas.js, counts what
+ * each producer sends, and keeps the latest rejected messages (with the raw
+ * payload and what was wrong with it) in a bounded dead-letter buffer.
+ *
+ * The producer is the node id for metrics (from the channel) and orderbooks
+ * (from the payload); status and discovery messages name theirs in a
+ * `producer`, `source` or `nodeId` field, or count as "unknown".
+ */
+
+const { validateMessage } = require('./message-schemas');
+
+const UNKNOWN_PRODUCER = 'unknown';
+// Producers beyond maxProducers are counted together under this name
+const OTHER_PRODUCERS = 'other';
+
+function emptyCounts() {
+    return { accepted: 0, coerced: 0, rejected: 0 };
+}
+
+class FeedValidator {
+    /**
+     * @param {object} options - the `validation` config section
+     * @param {number} options.deadLetterSize - rejected messages kept
+     * @param {number} options.maxPayloadBytes - raw payload kept per dead letter
+     * @param {number} options.maxProducers - producers counted individually
+     * @param {number} options.logIntervalSeconds - per producer, between rejection logs
+     */
+    constructor({ deadLetterSize = 500, maxPayloadBytes = 4096, maxProducers = 1000, logIntervalSeconds = 60 } = {}) {
+        this.deadLetterSize = deadLetterSize;
+        this.maxPayloadBytes = maxPayloadBytes;
+        this.maxProducers = maxProducers;
+        this.logIntervalMs = logIntervalSeconds * 1000;
+
+        this.deadLetters = [];      // oldest first
+        this.nextId = 1;
+        this.producers = new Map(); // producer -> { producer, subscriptions: { sub: counts }, lastRejected, lastCoerced, loggedAt }
+        this.totals = emptyCounts();
+        this.subscriptions = {};    // subscription -> counts across producers
+    }
+
+    /**
+     * Validate a raw message and count it against its producer.
+     * @param {string} subscription - metrics, orderbooks, marketStatus or marketDiscovery
+     * @param {string} message - the payload as received
+     * @param {object} source
+     * @param {string} source.channel - the channel it arrived on
+     * @param {string} [source.producer] - known from the channel (metrics)
+     * @returns {object|null} the normalized payload, or null if it was dead-lettered
+     */
+    check(subscription, message, { channel, producer = null, time = new Date() }) {
+        const result = validateMessage(subscription, message);
+        const name = producer || this.producerOf(result.payload);
+        const stats = this.statsFor(name);
+        const counts = stats.subscriptions[subscription] || (stats.subscriptions[subscription] = emptyCounts());
+        const overall = this.subscriptions[subscription] || (this.subscriptions[subscription] = emptyCounts());
+
+        if (result.errors.length > 0) {
+            counts.rejected++;
+            overall.rejected++;
+            this.totals.rejected++;
+            const entry = this.deadLetter(subscription, channel, name, message, result, time);
+            stats.lastRejected = { at: entry.receivedAt, subscription, errors: entry.errors };
+
+            if (time - stats.loggedAt >= this.logIntervalMs) {
+                stats.loggedAt = time.getTime();
+                console.error(`⚠️  Rejected ${subscription} message from ${name}: ${result.errors.slice(0, 3).join('; ')}` +
+                    (result.errors.length > 3 ? ` (+${result.errors.length - 3} more)` : ''));
+            }
+            return null;
+        }
+
+        counts.accepted++;
+        overall.accepted++;
+        this.totals.accepted++;
+        if (result.coerced.length > 0) {
+            counts.coerced++;
+            overall.coerced++;
+            this.totals.coerced++;
+            stats.lastCoerced = { at: time.toISOString(), subscription, issues: result.coerced };
+        }
+        return result.value;
+    }
+
+    /**
+     * Best-effort producer name from whatever parsed, if anything did.
+     */
+    producerOf(payload) {
+        const name = payload && (payload.producer || payload.source || payload.nodeId);
+        return typeof name === 'string' && name ? name : UNKNOWN_PRODUCER;
+    }
+
+    statsFor(name) {
+        if (!this.producers.has(name) && this.producers.size >= this.maxProducers) {
+            name = OTHER_PRODUCERS;
+        }
+        let stats = this.producers.get(name);
+        if (!stats) {
+            stats = { producer: name, subscriptions: {}, lastRejected: null, lastCoerced: null, loggedAt: 0 };
+            this.producers.set(name, stats);
+        }
+        return stats;
+    }
+
+    deadLetter(subscription, channel, producer, message, result, time) {
+        const raw = String(message);
+        const entry = {
+            id: this.nextId++,
+            receivedAt: time.toISOString(),
+            subscription,
+            channel,
+            producer,
+            schemaVersion: result.version,
+            errors: result.errors,
+            coerced: result.coerced,
+            payload: raw.length > this.maxPayloadBytes ? raw.slice(0, this.maxPayloadBytes) : raw,
+            truncated: raw.length > this.maxPayloadBytes
+        };
+        this.deadLetters.push(entry);
+        if (this.deadLetters.length > this.deadLetterSize) {
+            this.deadLetters.splice(0, this.deadLetters.length - this.deadLetterSize);
+        }
+        return entry;
+    }
+
+    /**
+     * Dead letters, newest first.
+     * @param {object} filters - producers and subscriptions (Sets, null for all), limit
+     */
+    listDeadLetters({ producers = null, subscriptions = null, limit = 100 } = {}) {
+        const matches = [];
+        for (let i = this.deadLetters.length - 1; i >= 0 && matches.length < limit; i--) {
+            const entry = this.deadLetters[i];
+            if (producers && !producers.has(entry.producer)) continue;
+            if (subscriptions && !subscriptions.has(entry.subscription)) continue;
+            matches.push(entry);
+        }
+        return matches;
+    }
+
+    /**
+     * Per-producer counters, most rejections first.
+     */
+    producerStats() {
+        return Array.from(this.producers.values(), ({ loggedAt, ...stats }) => {
+            const totals = emptyCounts();
+            for (const counts of Object.values(stats.subscriptions)) {
+                totals.accepted += counts.accepted;
+                totals.coerced += counts.coerced;
+                totals.rejected += counts.rejected;
+            }
+            return { ...stats, ...totals };
+        }).sort((a, b) => b.rejected - a.rejected || b.coerced - a.coerced || a.producer.localeCompare(b.producer));
+    }
+}
+
+module.exports = { FeedValidator };
@@ -0,0 +1,266 @@
+/**
+ * 📈 HEALTH HISTORY
+ * Bounded per-node time series of health metrics, with range queries,
+ * downsampling and optional persistence to a local JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_METRICS = ['cpuUsage', 'memoryUsage', 'loadAverage', 'freeDiskSpaceMB', 'activeMarkets'];
+// Samples are also pruned on arrival; this catches nodes that stopped publishing
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed-capacity buffer that overwrites its oldest entry when full.
+ * Entries are expected in time order.
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Drop entries from the front while `predicate` holds.
+     */
+    dropWhile(predicate) {
+        while (this.length > 0 && predicate(this.items[this.start])) {
+            this.items[this.start] = undefined;
+            this.start = (this.start + 1) % this.capacity;
+            this.length--;
+        }
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.items[(this.start + i) % this.capacity];
+        }
+    }
+}
+
+/**
+ * Parse "300", "90s", "5m", "1h" or "7d" into seconds.
+ */
+function parseDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/);
+    if (!match) {
+        throw new RangeError(`Invalid duration: ${value}`);
+    }
+    const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    return Number(match[1]) * multipliers[match[2]];
+}
+
+class HealthHistory {
+    /**
+     * @param {object} options - the `history` config section
+     * @param {Function} [clock] - current time in ms for pruning; the feed's time while replaying
+     */
+    constructor(options, clock = Date.now) {
+        this.options = options;
+        this.clock = clock;
+        this.series = new Map();    // nodeId -> RingBuffer of { t, ...metrics }
+        this.transient = new Set(); // nodeIds kept in memory but never persisted
+        this.persistTimer = null;
+        this.pruneTimer = null;
+        this.dirty = false;
+    }
+
+    start() {
+        this.pruneTimer = setInterval(() => {
+            this.pruneAll();
+        }, PRUNE_INTERVAL_MS);
+        if (!this.options.persistFile) return;
+
+        this.load();
+        this.persistTimer = setInterval(() => {
+            this.save();
+        }, this.options.persistIntervalSeconds * 1000);
+    }
+
+    stop() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+        if (this.persistTimer) {
+            clearInterval(this.persistTimer);
+            this.persistTimer = null;
+        }
+        if (this.options.persistFile) {
+            this.save();
+        }
+    }
+
+    /**
+     * Append a sample for a node from a health payload.
+     * @param {boolean} transient - keep the node out of the persist file (demo data)
+     */
+    record(nodeId, health, time = Date.now(), transient = false) {
+        const sample = { t: new Date(time).getTime() };
+        for (const metric of HISTORY_METRICS) {
+            const value = Number(health[metric]);
+            sample[metric] = Number.isFinite(value) ? value : null;
+        }
+
+        let buffer = this.series.get(nodeId);
+        if (!buffer) {
+            buffer = new RingBuffer(this.options.maxSamplesPerNode);
+            this.series.set(nodeId, buffer);
+        }
+        buffer.push(sample);
+        this.prune(buffer, sample.t);
+        if (transient) {
+            this.transient.add(nodeId);
+        } else {
+            this.dirty = true;
+        }
+    }
+
+    remove(nodeId) {
+        if (this.series.has(nodeId) && !this.transient.has(nodeId)) this.dirty = true;
+        this.series.delete(nodeId);
+        this.transient.delete(nodeId);
+    }
+
+    prune(buffer, now) {
+        const cutoff = now - this.options.retentionSeconds * 1000;
+        buffer.dropWhile(sample => sample.t < cutoff);
+    }
+
+    /**
+     * Prune every node, dropping nodes with nothing left in the retention window.
+     */
+    pruneAll(now = this.clock()) {
+        for (const [nodeId, buffer] of this.series) {
+            const before = buffer.length;
+            this.prune(buffer, now);
+            if (buffer.length === before) continue;
+
+            if (!this.transient.has(nodeId)) this.dirty = true;
+            if (buffer.length === 0) this.remove(nodeId);
+        }
+    }
+
+    nodeIds() {
+        return Array.from(this.series.keys());
+    }
+
+    /**
+     * Samples for one node in [from, to], optionally averaged into
+     * `stepSeconds` buckets.
+     * @returns {Array<{t: number}>} points ordered by time
+     */
+    query(nodeId, { from = 0, to = Infinity, stepSeconds = null, metrics = HISTORY_METRICS } = {}) {
+        const buffer = this.series.get(nodeId);
+        if (!buffer) return [];
+
+        const samples = [];
+        for (const sample of buffer) {
+            if (sample.t >= from && sample.t <= to) samples.push(sample);
+        }
+
+        if (!stepSeconds) {
+            return samples.map(sample => this.pick(sample, metrics));
+        }
+        return this.downsample(samples, stepSeconds * 1000, metrics);
+    }
+
+    pick(sample, metrics) {
+        const point = { t: sample.t };
+        for (const metric of metrics) point[metric] = sample[metric];
+        return point;
+    }
+
+    downsample(samples, stepMs, metrics) {
+        const buckets = new Map();
+        for (const sample of samples) {
+            const bucketStart = Math.floor(sample.t / stepMs) * stepMs;
+            if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+            buckets.get(bucketStart).push(sample);
+        }
+
+        const points = [];
+        for (const [bucketStart, bucket] of buckets) {
+            const point = { t: bucketStart };
+            for (const metric of metrics) {
+                const values = bucket.map(sample => sample[metric]).filter(value => value !== null);
+                point[metric] = values.length > 0
+                    ? values.reduce((sum, value) => sum + value, 0) / values.length
+                    : null;
+            }
+            points.push(point);
+        }
+        return points;
+    }
+
+    /**
+     * Recent history for every node, as sent to newly connected clients.
+     * @param {function} [includes] - nodeId => whether to include that node
+     */
+    snapshot({ windowSeconds, stepSeconds }, now = Date.now(), includes = () => true) {
+        const from = now - windowSeconds * 1000;
+        const nodes = {};
+        for (const nodeId of this.series.keys()) {
+            if (!includes(nodeId)) continue;
+            nodes[nodeId] = this.query(nodeId, { from, stepSeconds });
+        }
+        return nodes;
+    }
+
+    load() {
+        const filePath = this.options.persistFile;
+        if (!fs.existsSync(filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const now = Date.now();
+            for (const [nodeId, samples] of Object.entries(data.nodes || {})) {
+                const buffer = new RingBuffer(this.options.maxSamplesPerNode);
+                for (const sample of samples) buffer.push(sample);
+                this.prune(buffer, now);
+                if (buffer.length > 0) this.series.set(nodeId, buffer);
+            }
+            console.log(`📈 Loaded health history for ${this.series.size} nodes from ${filePath}`);
+        } catch (error) {
+            console.error(`❌ Error loading health history from ${filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        if (!this.dirty) return;
+
+        const filePath = this.options.persistFile;
+        const nodes = {};
+        for (const [nodeId, buffer] of this.series) {
+            if (this.transient.has(nodeId)) continue;
+            nodes[nodeId] = Array.from(buffer);
+        }
+
+        try {
+            // Write then rename so a crash never leaves a half-written file
+            fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), nodes }));
+            fs.renameSync(tmpPath, filePath);
+            this.dirty = false;
+        } catch (error) {
+            console.error(`❌ Error saving health history to ${filePath}:`, error.message);
+        }
+    }
+}
+
+module.exports = { HealthHistory, RingBuffer, HISTORY_METRICS, parseDuration };
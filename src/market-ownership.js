@@ -0,0 +1,202 @@
+/**
+ * 🧭 MARKET OWNERSHIP
+ * Which nodes hold a cached book for each event, and since when, so a
+ * failover that went wrong shows up instead of two books silently coexisting:
+ *
+ *   duplicate  - two live nodes both published the event within
+ *                staleCopySeconds of each other (split brain)
+ *   stale_copy - the event moved to another node, but the old node is still
+ *                live and its old book is still cached staleCopySeconds later
+ *
+ * Copies on nodes that aren't live (silent or expired, i.e. orphaned) are
+ * expected to linger until the node expires and are listed, not flagged.
+ *
+ * Every time an event is published by a node that didn't hold it yet while
+ * another did (or was the last to), that's recorded as a move.
+ *
+ * check() also compares cached books per node with the node's self-reported
+ * `activeMarkets`, and distinct cached events with market discovery's
+ * `totalMarkets`.
+ */
+
+const DEFAULT_MOVES_SHOWN = 20;
+
+class MarketOwnership {
+    /**
+     * @param {object} options - the `markets` config section
+     * @param {number} options.moveHistoryLength - ownership moves remembered
+     * @param {number} options.staleCopySeconds - how long the newer owner must have published
+     *        alone before the older copy counts as stale rather than a duplicate
+     */
+    constructor({ moveHistoryLength = 100, staleCopySeconds = 60 } = {}) {
+        this.moveHistoryLength = moveHistoryLength;
+        this.staleCopyMs = staleCopySeconds * 1000;
+        this.owners = new Map();      // eventId -> Map(nodeId -> { since, lastUpdate }), epoch ms
+        this.lastOwner = new Map();   // eventId -> nodeId that published it last, kept across releases
+        this.moves = [];              // oldest first
+        this.moveCount = 0;           // since start, for /metrics
+    }
+
+    /**
+     * A node published a book for the event.
+     * @returns {object|null} the move, if the event changed hands
+     */
+    record(eventId, nodeId, time = Date.now()) {
+        let owners = this.owners.get(eventId);
+        if (!owners) {
+            owners = new Map();
+            this.owners.set(eventId, owners);
+        }
+
+        const previous = this.lastOwner.get(eventId);
+        this.lastOwner.set(eventId, nodeId);
+
+        const entry = owners.get(nodeId);
+        if (entry) {
+            entry.lastUpdate = time;
+            return null;
+        }
+        owners.set(nodeId, { since: time, lastUpdate: time });
+
+        if (!previous || previous === nodeId) return null;
+        const move = { eventId, from: previous, to: nodeId, at: new Date(time).toISOString() };
+        this.moves.push(move);
+        this.moveCount++;
+        if (this.moves.length > this.moveHistoryLength) {
+            this.moves.splice(0, this.moves.length - this.moveHistoryLength);
+        }
+        return move;
+    }
+
+    /**
+     * A node's copy was dropped from the cache.
+     */
+    release(eventId, nodeId) {
+        const owners = this.owners.get(eventId);
+        if (!owners) return;
+        owners.delete(nodeId);
+        if (owners.size === 0) {
+            this.owners.delete(eventId);
+        }
+    }
+
+    /**
+     * The event closed: forget it entirely, including who served it last.
+     */
+    releaseEvent(eventId) {
+        this.owners.delete(eventId);
+        this.lastOwner.delete(eventId);
+    }
+
+    clear() {
+        this.owners.clear();
+        this.lastOwner.clear();
+        this.moves = [];
+    }
+
+    get eventCount() {
+        return this.owners.size;
+    }
+
+    /**
+     * Classify one event's copies.
+     * @param {function(string): boolean} isLive - whether a node is currently publishing
+     * @returns {object} { eventId, kind: 'ok'|'duplicate'|'stale_copy', owners, duplicateOwners, staleCopies }
+     */
+    describe(eventId, isLive) {
+        const owners = Array.from(this.owners.get(eventId) || [], ([nodeId, entry]) => ({
+            nodeId,
+            since: new Date(entry.since).toISOString(),
+            lastUpdate: new Date(entry.lastUpdate).toISOString(),
+            live: isLive(nodeId),
+            state: 'current',
+            sinceMs: entry.since,
+            lastUpdateMs: entry.lastUpdate
+        })).sort((a, b) => b.lastUpdateMs - a.lastUpdateMs);
+
+        const live = owners.filter(owner => owner.live);
+        const current = live[0];
+        let duplicateOwners = live.length ? 1 : 0;
+        let staleCopies = 0;
+
+        for (const owner of owners) {
+            if (owner === current) continue;
+            if (!owner.live) {
+                owner.state = 'inactive';
+            } else if (current.lastUpdateMs - owner.lastUpdateMs >= this.staleCopyMs) {
+                owner.state = 'stale';
+                staleCopies++;
+            } else if (owner.lastUpdateMs >= current.sinceMs) {
+                owner.state = 'duplicate';
+                duplicateOwners++;
+            } else {
+                // Handed over moments ago; give the old copy staleCopySeconds to go
+                owner.state = 'previous';
+            }
+        }
+        if (duplicateOwners > 1 && current) {
+            current.state = 'duplicate';
+        }
+
+        const kind = duplicateOwners > 1 ? 'duplicate' : staleCopies > 0 ? 'stale_copy' : 'ok';
+        return {
+            eventId,
+            kind,
+            duplicateOwners,
+            staleCopies,
+            owners: owners.map(({ sinceMs, lastUpdateMs, ...owner }) => owner)
+        };
+    }
+
+    /**
+     * Every event with its classification, for the alert engine's event scope.
+     */
+    describeAll(isLive) {
+        return Array.from(this.owners.keys(), eventId => this.describe(eventId, isLive));
+    }
+
+    /**
+     * Full consistency report.
+     * @param {object} state
+     * @param {Map} state.healthData - nodeId -> health with activeMarkets
+     * @param {Map} state.orderbooksByNode - nodeId -> Map(eventId -> book)
+     * @param {number} state.totalMarkets - from market discovery; 0 when not reported yet
+     * @param {function(string): boolean} state.isLive
+     */
+    check({ healthData, orderbooksByNode, totalMarkets, isLive }, now = Date.now()) {
+        const events = this.describeAll(isLive).filter(event => event.kind !== 'ok');
+
+        const nodeCounts = [];
+        for (const [nodeId, health] of healthData) {
+            if (!Number.isFinite(health.activeMarkets) || !isLive(nodeId)) continue;
+            const books = orderbooksByNode.get(nodeId);
+            const cached = books ? books.size : 0;
+            if (cached !== health.activeMarkets) {
+                nodeCounts.push({ nodeId, role: health.role, cached, reported: health.activeMarkets });
+            }
+        }
+
+        const reported = totalMarkets > 0 ? totalMarkets : null;
+        return {
+            duplicates: events.filter(event => event.kind === 'duplicate'),
+            staleCopies: events.filter(event => event.kind === 'stale_copy'),
+            nodeCounts,
+            totals: {
+                cached: this.eventCount,
+                reported,
+                mismatch: reported !== null && reported !== this.eventCount
+            },
+            moves: this.recentMoves(DEFAULT_MOVES_SHOWN),
+            checkedAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Most recent first.
+     */
+    recentMoves(limit = this.moveHistoryLength) {
+        return this.moves.slice(-limit).reverse();
+    }
+}
+
+module.exports = { MarketOwnership };
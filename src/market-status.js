@@ -0,0 +1,113 @@
+/**
+ * 🏷️ MARKET STATUS
+ * Remembers every market's status (OPEN, HALTED, SUSPENDED, CLOSED, CLEARED)
+ * with a bounded transition history. Closed and cleared markets are kept
+ * for a "recently closed" list until newer closures push them out.
+ */
+
+const MARKET_STATUSES = ['OPEN', 'HALTED', 'SUSPENDED', 'CLOSED', 'CLEARED'];
+const TERMINAL_STATUSES = new Set(['CLOSED', 'CLEARED']);
+
+class MarketStatusTracker {
+    /**
+     * @param {object} options - the `markets` config section
+     * @param {number} options.statusHistoryLength - transitions kept per market
+     * @param {number} options.recentlyClosedLimit - closed markets remembered
+     */
+    constructor({ statusHistoryLength = 50, recentlyClosedLimit = 20 } = {}) {
+        this.statusHistoryLength = statusHistoryLength;
+        this.recentlyClosedLimit = recentlyClosedLimit;
+        this.markets = new Map();   // eventId -> { status, since, history: [{ status, at, reason }] }
+    }
+
+    /**
+     * Apply a status message. Repeats of the current status are ignored.
+     * @returns {object|null} the transition, or null if nothing changed
+     */
+    update(eventId, statusData, time = new Date()) {
+        const status = String(statusData.status || '').toUpperCase();
+        if (!status) {
+            throw new Error('status message has no status');
+        }
+
+        let entry = this.markets.get(eventId);
+        if (entry && entry.status === status) return null;
+
+        const previousStatus = entry ? entry.status : null;
+        const at = time.toISOString();
+        if (!entry) {
+            entry = { status, since: at, history: [] };
+            this.markets.set(eventId, entry);
+        }
+
+        entry.status = status;
+        entry.since = at;
+        entry.history.push({ status, at, reason: statusData.reason || null });
+        if (entry.history.length > this.statusHistoryLength) {
+            entry.history.splice(0, entry.history.length - this.statusHistoryLength);
+        }
+
+        // Re-insert so Map order follows the latest transition
+        this.markets.delete(eventId);
+        this.markets.set(eventId, entry);
+        if (this.isTerminal(status)) {
+            this.pruneClosed();
+        }
+
+        return { eventId, status, previousStatus, since: at, terminal: this.isTerminal(status) };
+    }
+
+    isTerminal(status) {
+        return TERMINAL_STATUSES.has(status);
+    }
+
+    isClosed(eventId) {
+        const entry = this.markets.get(eventId);
+        return !!entry && this.isTerminal(entry.status);
+    }
+
+    statusOf(eventId) {
+        const entry = this.markets.get(eventId);
+        return entry ? entry.status : null;
+    }
+
+    historyOf(eventId) {
+        const entry = this.markets.get(eventId);
+        return entry ? entry.history.slice() : [];
+    }
+
+    /**
+     * Closed markets, most recently closed first.
+     */
+    recentlyClosed() {
+        const closed = [];
+        for (const [eventId, entry] of this.markets) {
+            if (this.isTerminal(entry.status)) {
+                closed.push({ eventId, status: entry.status, closedAt: entry.since });
+            }
+        }
+        return closed.reverse();
+    }
+
+    pruneClosed() {
+        const closed = this.recentlyClosed();
+        for (const { eventId } of closed.slice(this.recentlyClosedLimit)) {
+            this.markets.delete(eventId);
+        }
+    }
+
+    /**
+     * Current status of every open (non-terminal) market.
+     */
+    snapshot() {
+        const markets = {};
+        for (const [eventId, entry] of this.markets) {
+            if (!this.isTerminal(entry.status)) {
+                markets[eventId] = { status: entry.status, since: entry.since };
+            }
+        }
+        return markets;
+    }
+}
+
+module.exports = { MarketStatusTracker, MARKET_STATUSES, TERMINAL_STATUSES };
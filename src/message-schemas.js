@@ -0,0 +1,295 @@
+/**
+ * 📐 MESSAGE SCHEMAS
+ * What producers may publish on each subscription, checked on ingest before
+ * any handler sees the payload.
+ *
+ * Payloads may carry `schemaVersion` (1 when absent); an unknown version is
+ * rejected rather than guessed at. Every version lists its fields as
+ *
+ *   { type: 'number'|'integer'|'boolean'|'string'|'timestamp', required, min, max, clamp }
+ *
+ * Tolerable problems are coerced and reported as `coerced`: numbers and
+ * booleans sent as strings, percentages slightly out of range (`clamp`),
+ * unparseable timestamps (dropped), and book fields that can be derived
+ * (bestBid/bestAsk/totalOrders from the levels, a missing level count as 0,
+ * a missing marketId as YES/NO). Anything else is an `error` and the whole
+ * message is rejected. Fields not listed are passed through untouched.
+ *
+ * Orderbook channel messages whose type isn't orderbook_update are passed
+ * through unchecked; the handler ignores them.
+ */
+
+const { MARKET_STATUSES } = require('./market-status');
+
+const HEALTH_V1 = {
+    cpuUsage: { type: 'number', required: true, min: 0, max: 100, clamp: true },
+    memoryUsage: { type: 'number', required: true, min: 0, max: 100, clamp: true },
+    isHealthy: { type: 'boolean' },
+    activeMarkets: { type: 'integer', min: 0 },
+    cpuCores: { type: 'integer', min: 0 },
+    loadAverage: { type: 'number', min: 0 },
+    freeDiskSpaceMB: { type: 'number', min: 0 },
+    role: { type: 'string' },
+    timestamp: { type: 'timestamp' }
+};
+
+const ORDERBOOK_V1 = {
+    eventId: { type: 'string', required: true },
+    nodeId: { type: 'string', required: true },
+    timestamp: { type: 'timestamp' }
+};
+
+const LEVEL_V1 = {
+    price: { type: 'number', required: true, min: 0, max: 100 },
+    quantity: { type: 'number', required: true, min: 0 },
+    count: { type: 'integer', min: 0 }
+};
+
+const MARKET_V1 = {
+    marketId: { type: 'string' },
+    bestBid: { type: 'number', min: 0, max: 100 },
+    bestAsk: { type: 'number', min: 0, max: 100 },
+    totalOrders: { type: 'integer', min: 0 }
+};
+
+const MARKET_STATUS_V1 = {
+    status: { type: 'string', required: true },
+    reason: { type: 'string' },
+    timestamp: { type: 'timestamp' }
+};
+
+const MARKET_DISCOVERY_V1 = {
+    totalMarkets: { type: 'integer', required: true, min: 0 },
+    timestamp: { type: 'timestamp' }
+};
+
+/**
+ * subscription -> version -> check(payload, result), returning the normalized payload
+ */
+const SCHEMAS = {
+    metrics: {
+        1: (payload, result) => checkFields(payload, HEALTH_V1, '', result)
+    },
+    orderbooks: {
+        1: (payload, result) => checkOrderbook(payload, result)
+    },
+    marketStatus: {
+        1: (payload, result) => {
+            const value = checkFields(payload, MARKET_STATUS_V1, '', result);
+            if (typeof value.status !== 'string') return value;
+
+            const status = value.status.toUpperCase();
+            if (!MARKET_STATUSES.includes(status)) {
+                result.errors.push(`status: expected one of ${MARKET_STATUSES.join(', ')}, got ${describe(value.status)}`);
+            } else if (status !== value.status) {
+                result.coerced.push(`status: upper-cased ${describe(value.status)}`);
+                value.status = status;
+            }
+            return value;
+        }
+    },
+    marketDiscovery: {
+        1: (payload, result) => checkFields(payload, MARKET_DISCOVERY_V1, '', result)
+    }
+};
+
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check one field; returns the (possibly coerced) value, or undefined to drop it.
+ */
+function checkField(value, spec, path, result) {
+    const fail = (expected) => {
+        result.errors.push(`${path}: expected ${expected}, got ${describe(value)}`);
+        return value;
+    };
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer': {
+            let number = value;
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                number = Number(value);
+                result.coerced.push(`${path}: number sent as string ${describe(value)}`);
+            }
+            if (typeof number !== 'number' || !Number.isFinite(number)) return fail(spec.type);
+            if (spec.type === 'integer' && !Number.isInteger(number)) return fail('integer');
+
+            if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+                const range = spec.max === undefined ? `>= ${spec.min}` : `${spec.min}-${spec.max}`;
+                if (!spec.clamp) return fail(`${spec.type} ${range}`);
+                const clamped = Math.min(spec.max, Math.max(spec.min, number));
+                result.coerced.push(`${path}: ${number} clamped to ${clamped}`);
+                return clamped;
+            }
+            return number;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 1 || value === '1') {
+                result.coerced.push(`${path}: boolean sent as ${describe(value)}`);
+                return true;
+            }
+            if (value === 'false' || value === 0 || value === '0') {
+                result.coerced.push(`${path}: boolean sent as ${describe(value)}`);
+                return false;
+            }
+            return fail('boolean');
+        case 'string':
+            if (typeof value === 'string' && value !== '') return value;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                result.coerced.push(`${path}: string sent as number ${value}`);
+                return String(value);
+            }
+            return fail('non-empty string');
+        case 'timestamp':
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                result.coerced.push(`${path}: epoch ms converted to ISO`);
+                return new Date(value).toISOString();
+            }
+            if (typeof value === 'string' && Number.isFinite(Date.parse(value))) return value;
+            result.coerced.push(`${path}: unparseable timestamp ${describe(value)} dropped`);
+            return undefined;
+        default:
+            throw new Error(`Unknown schema type ${spec.type} for ${path}`);
+    }
+}
+
+/**
+ * Check the listed fields of an object; returns a copy with coerced values.
+ */
+function checkFields(payload, fields, prefix, result) {
+    const value = { ...payload };
+    for (const [name, spec] of Object.entries(fields)) {
+        const path = prefix + name;
+        if (value[name] === undefined || value[name] === null) {
+            if (spec.required) {
+                result.errors.push(`${path}: required`);
+            }
+            continue;
+        }
+        const checked = checkField(value[name], spec, path, result);
+        if (checked === undefined) {
+            delete value[name];
+        } else {
+            value[name] = checked;
+        }
+    }
+    return value;
+}
+
+function checkLevels(levels, path, result) {
+    if (levels === undefined || levels === null) {
+        result.coerced.push(`${path}: missing, assumed empty`);
+        return [];
+    }
+    if (!Array.isArray(levels)) {
+        result.errors.push(`${path}: expected array, got ${describe(levels)}`);
+        return [];
+    }
+    return levels.map((level, i) => {
+        const levelPath = `${path}[${i}]`;
+        if (!isObject(level)) {
+            result.errors.push(`${levelPath}: expected object, got ${describe(level)}`);
+            return level;
+        }
+        const value = checkFields(level, LEVEL_V1, `${levelPath}.`, result);
+        if (value.count === undefined || value.count === null) {
+            result.coerced.push(`${levelPath}.count: missing, assumed 0`);
+            value.count = 0;
+        }
+        return value;
+    });
+}
+
+function checkMarket(market, path, defaultId, result) {
+    if (!isObject(market)) {
+        result.errors.push(market === undefined ? `${path}: required` : `${path}: expected object, got ${describe(market)}`);
+        return market;
+    }
+
+    const value = checkFields(market, MARKET_V1, `${path}.`, result);
+    value.bids = checkLevels(market.bids, `${path}.bids`, result);
+    value.asks = checkLevels(market.asks, `${path}.asks`, result);
+    if (result.errors.length > 0) return value;
+
+    if (value.marketId === undefined || value.marketId === null) {
+        result.coerced.push(`${path}.marketId: missing, assumed ${defaultId}`);
+        value.marketId = defaultId;
+    }
+    if (value.bestBid === undefined) {
+        // Not Math.max(...prices): a long book would overflow the argument list
+        value.bestBid = value.bids.length ? value.bids.reduce((best, level) => Math.max(best, level.price), -Infinity) : null;
+        result.coerced.push(`${path}.bestBid: missing, derived from bids`);
+    }
+    if (value.bestAsk === undefined) {
+        value.bestAsk = value.asks.length ? value.asks.reduce((best, level) => Math.min(best, level.price), Infinity) : null;
+        result.coerced.push(`${path}.bestAsk: missing, derived from asks`);
+    }
+    if (value.totalOrders === undefined || value.totalOrders === null) {
+        value.totalOrders = [...value.bids, ...value.asks].reduce((sum, level) => sum + level.count, 0);
+        result.coerced.push(`${path}.totalOrders: missing, summed from levels`);
+    }
+    return value;
+}
+
+function checkOrderbook(payload, result) {
+    if (payload.type !== 'orderbook_update') return payload;
+
+    const value = checkFields(payload, ORDERBOOK_V1, '', result);
+    value.marketA = checkMarket(payload.marketA, 'marketA', 'YES', result);
+    value.marketB = checkMarket(payload.marketB, 'marketB', 'NO', result);
+    return value;
+}
+
+/**
+ * Validate a raw message from one of the subscriptions.
+ * @param {string} subscription - metrics, orderbooks, marketStatus or marketDiscovery
+ * @param {string} message - the payload as received
+ * @returns {{ value: object|null, payload: *, version: number|null, errors: string[], coerced: string[] }}
+ *          `value` is the normalized payload, null when there are errors;
+ *          `payload` is what parsed, as sent
+ */
+function validateMessage(subscription, message) {
+    const result = { value: null, payload: undefined, version: null, errors: [], coerced: [] };
+
+    let payload;
+    try {
+        payload = JSON.parse(message);
+    } catch (error) {
+        result.errors.push(`not JSON: ${error.message}`);
+        return result;
+    }
+    result.payload = payload;
+    if (!isObject(payload)) {
+        result.errors.push(`expected a JSON object, got ${describe(payload)}`);
+        return result;
+    }
+
+    const versions = SCHEMAS[subscription];
+    if (!versions) {
+        throw new Error(`No schema for subscription ${subscription}`);
+    }
+    const version = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+    if (!Object.prototype.hasOwnProperty.call(versions, version)) {
+        result.errors.push(`schemaVersion: unsupported version ${describe(version)} (supported: ${Object.keys(versions).join(', ')})`);
+        return result;
+    }
+
+    result.version = Number(version);
+    const value = versions[version](payload, result);
+    if (result.errors.length === 0) {
+        result.value = value;
+    }
+    return result;
+}
+
+module.exports = { SCHEMAS, validateMessage };
@@ -0,0 +1,230 @@
+/**
+ * 📈 METRICS EXPORTER
+ * Renders the dashboard server's cache as Prometheus text exposition
+ * (version 0.0.4, which OpenMetrics scrapers also accept) for GET /metrics.
+ *
+ * What a caller sees follows their permissions, as for the REST API:
+ *   health     - dashboard_node_*   per node, labelled node and role
+ *   orderbooks - dashboard_market_* per book, labelled event_id, market, node and role,
+ *                plus market ownership and per-node cached book counts
+ *   admin      - dashboard_websocket_*, dashboard_feed_*, dashboard_redis_*
+ *
+ * Everything is a snapshot of the cache at scrape time; counters count since
+ * the server started. Prices are in cents, as published.
+ */
+
+const { evaluateNodeHealth } = require('./shared/node-health');
+const { analyzeOrderbook } = require('./shared/market-analytics');
+const { LIVENESS_STATES } = require('./node-liveness');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Redis connection states reported one-hot by dashboard_redis_state
+const REDIS_STATES = ['connecting', 'connected', 'reconnecting', 'replay', 'stopped'];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === true) return '1';
+    if (value === false) return '0';
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Collects samples per metric family, so each family's HELP/TYPE is written once.
+ */
+class Exposition {
+    constructor() {
+        this.families = new Map();  // name -> { help, type, samples: [[labels, value]] }
+    }
+
+    /**
+     * @param {object} labels - label name -> value
+     * @param {number|boolean|null|undefined} value - skipped when null/undefined
+     */
+    add(name, type, help, labels, value) {
+        if (value === null || value === undefined) return;
+
+        let family = this.families.get(name);
+        if (!family) {
+            family = { help, type, samples: [] };
+            this.families.set(name, family);
+        }
+        family.samples.push([labels, value]);
+    }
+
+    gauge(name, help, labels, value) {
+        this.add(name, 'gauge', help, labels, value);
+    }
+
+    counter(name, help, labels, value) {
+        this.add(name, 'counter', help, labels, value);
+    }
+
+    toString() {
+        const lines = [];
+        for (const [name, { help, type, samples }] of this.families) {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+                lines.push(`${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function depth(levels = []) {
+    return levels.reduce((sum, level) => sum + level.quantity, 0);
+}
+
+class MetricsExporter {
+    constructor(dashboardServer) {
+        this.dashboard = dashboardServer;
+    }
+
+    /**
+     * @param {Set<string>} permissions - the caller's; sections they lack are left out
+     * @returns {string} the exposition text
+     */
+    render(permissions, now = new Date()) {
+        const out = new Exposition();
+        if (permissions.has('health')) this.renderNodes(out, now);
+        if (permissions.has('orderbooks')) this.renderMarkets(out, now);
+        if (permissions.has('admin')) this.renderServer(out);
+        return out.toString();
+    }
+
+    renderNodes(out, now) {
+        const { healthData, liveness, config } = this.dashboard;
+        const lastSeen = liveness.snapshot();
+
+        for (const [nodeId, health] of healthData) {
+            const labels = { node: nodeId, role: health.role };
+            const status = evaluateNodeHealth(health, now, config.health.staleAfterSeconds);
+            const seen = lastSeen[nodeId];
+
+            out.gauge('dashboard_node_cpu_usage_percent', 'CPU usage reported by the node.', labels, health.cpuUsage);
+            out.gauge('dashboard_node_memory_usage_percent', 'Memory usage reported by the node.', labels, health.memoryUsage);
+            out.gauge('dashboard_node_load_average', 'Load average reported by the node.', labels, health.loadAverage);
+            out.gauge('dashboard_node_free_disk_bytes', 'Free disk space reported by the node.', labels,
+                health.freeDiskSpaceMB === undefined ? null : health.freeDiskSpaceMB * 1048576);
+            out.gauge('dashboard_node_cpu_cores', 'CPU cores reported by the node.', labels, health.cpuCores);
+            out.gauge('dashboard_node_active_markets', 'Markets the node reports serving.', labels, health.activeMarkets);
+            out.gauge('dashboard_node_healthy', '1 if the node reports healthy and is not stale (see src/shared/node-health.js).',
+                labels, status.isHealthy);
+            out.gauge('dashboard_node_last_seen_age_seconds', 'Seconds since the last health update from the node.',
+                labels, seen ? Math.max(0, (now - Date.parse(seen.lastSeen)) / 1000) : status.ageSeconds);
+            for (const state of LIVENESS_STATES) {
+                out.gauge('dashboard_node_liveness', '1 for the node\'s current liveness state.',
+                    { ...labels, state }, Boolean(seen && seen.state === state));
+            }
+        }
+    }
+
+    renderMarkets(out, now) {
+        const { orderbooksByNode, marketStatus, totalMarkets, ownership, config } = this.dashboard;
+
+        let activeMarkets = 0;
+        for (const [nodeId, nodeOrderbooks] of orderbooksByNode) {
+            const role = this.dashboard.nodeRole(nodeId);
+            activeMarkets += nodeOrderbooks.size;
+
+            for (const [eventId, orderbook] of nodeOrderbooks) {
+                const bookLabels = { event_id: eventId, node: nodeId, role };
+                out.gauge('dashboard_market_book_age_seconds', 'Seconds since the last update of the book.',
+                    bookLabels, Math.max(0, (now - orderbook.lastUpdate) / 1000));
+                out.gauge('dashboard_market_orphaned', '1 if the serving node expired and the book is kept as orphaned.',
+                    bookLabels, Boolean(orderbook.orphaned));
+
+                const analysis = analyzeOrderbook(orderbook, { depthCents: config.markets.depthCents });
+                out.gauge('dashboard_market_complement_bid_sum_cents', 'YES plus NO best bids; over 100 is an arbitrage.',
+                    bookLabels, analysis.complement.bidSum);
+                out.gauge('dashboard_market_complement_ask_sum_cents', 'YES plus NO best asks; under 100 is an arbitrage.',
+                    bookLabels, analysis.complement.askSum);
+
+                for (const leg of ['marketA', 'marketB']) {
+                    const market = orderbook[leg];
+                    const stats = analysis[leg];
+                    const labels = { event_id: eventId, market: market.marketId, node: nodeId, role };
+                    const { bestBid, bestAsk } = market;
+
+                    out.gauge('dashboard_market_best_bid_cents', 'Best bid price; absent when there are no bids.', labels, bestBid);
+                    out.gauge('dashboard_market_best_ask_cents', 'Best ask price; absent when there are no asks.', labels, bestAsk);
+                    out.gauge('dashboard_market_spread_cents', 'Best ask minus best bid; absent unless both sides are quoted.',
+                        labels, bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null);
+                    out.gauge('dashboard_market_depth_shares', 'Total quantity over all levels of one side.',
+                        { ...labels, side: 'bid' }, depth(market.bids));
+                    out.gauge('dashboard_market_depth_shares', 'Total quantity over all levels of one side.',
+                        { ...labels, side: 'ask' }, depth(market.asks));
+                    out.gauge('dashboard_market_orders', 'Resting orders in the market.', labels, market.totalOrders);
+                    out.gauge('dashboard_market_mid_cents', 'Midpoint of best bid and ask.', labels, stats.mid);
+                    out.gauge('dashboard_market_microprice_cents', 'Mid weighted by the size at the touch.', labels, stats.microprice);
+                    out.gauge('dashboard_market_imbalance', 'Bid minus ask depth over their sum, within markets.depthCents of the touch.',
+                        labels, stats.imbalance);
+                    out.gauge('dashboard_market_notional_dollars', 'Price times quantity over all levels of both sides.', labels, stats.notional);
+                }
+            }
+        }
+
+        for (const [eventId, { status }] of Object.entries(marketStatus.snapshot())) {
+            out.gauge('dashboard_market_status', '1 for the current status of each open market.', { event_id: eventId, status }, 1);
+        }
+        out.gauge('dashboard_markets_active', 'Books cached across all nodes.', {}, activeMarkets);
+        out.gauge('dashboard_markets_total', 'Markets in the system, from market discovery.', {}, totalMarkets || null);
+
+        const events = ownership.describeAll(this.dashboard.isNodeLive);
+        out.gauge('dashboard_markets_cached_events', 'Distinct events with at least one cached book.', {}, events.length);
+        out.gauge('dashboard_markets_duplicated', 'Events published by more than one live node (see src/market-ownership.js).',
+            {}, events.filter(event => event.kind === 'duplicate').length);
+        out.gauge('dashboard_markets_stale_copies', 'Events that moved while the old live node\'s book is still cached.',
+            {}, events.filter(event => event.kind === 'stale_copy').length);
+        out.counter('dashboard_market_ownership_moves_total', 'Events first published by a node other than the one that last published them.',
+            {}, ownership.moveCount);
+        for (const [nodeId, nodeOrderbooks] of orderbooksByNode) {
+            out.gauge('dashboard_node_cached_markets', 'Books cached for the node; compare with dashboard_node_active_markets.',
+                { node: nodeId, role: this.dashboard.nodeRole(nodeId) }, nodeOrderbooks.size);
+        }
+    }
+
+    renderServer(out) {
+        const { validator, upstream } = this.dashboard;
+        const { totals } = this.dashboard.getClientStats();
+
+        out.gauge('dashboard_websocket_clients', 'Connected WebSocket clients.', {}, totals.connected);
+        out.gauge('dashboard_websocket_queued_messages', 'Messages waiting in client send queues.', {}, totals.queued);
+        out.counter('dashboard_websocket_messages_sent_total', 'Messages sent to WebSocket clients.', {}, totals.sent);
+        out.counter('dashboard_websocket_sent_bytes_total', 'Bytes sent to WebSocket clients.', {}, totals.bytes);
+        out.counter('dashboard_websocket_messages_coalesced_total', 'Queued messages replaced by a newer one for the same subject.', {}, totals.coalesced);
+        out.counter('dashboard_websocket_messages_dropped_total', 'Messages dropped for clients that were too slow.', {}, totals.dropped);
+        out.counter('dashboard_websocket_disconnects_total', 'Clients disconnected by the server.', { reason: 'slow' }, totals.disconnectedSlow);
+        out.counter('dashboard_websocket_disconnects_total', 'Clients disconnected by the server.', { reason: 'dead' }, totals.reapedDead);
+
+        const channels = this.dashboard.config.channels;
+        for (const [subscription, counts] of Object.entries(validator.subscriptions)) {
+            const labels = { subscription, channel: channels[subscription] };
+            out.counter('dashboard_feed_messages_total', 'Messages received per subscription.', labels, counts.accepted + counts.rejected);
+            out.counter('dashboard_feed_messages_coerced_total', 'Accepted messages that needed fixing up (see src/message-schemas.js).', labels, counts.coerced);
+            out.counter('dashboard_feed_messages_rejected_total', 'Messages that failed to parse or validate.', labels, counts.rejected);
+        }
+        for (const producer of validator.producerStats()) {
+            out.counter('dashboard_feed_producer_rejected_total', 'Rejected messages per producer.', { producer: producer.producer }, producer.rejected);
+        }
+
+        const status = this.dashboard.upstreamStatus();
+        out.gauge('dashboard_redis_connected', '1 while connected to Redis.', {}, upstream.connected);
+        for (const state of REDIS_STATES) {
+            out.gauge('dashboard_redis_state', '1 for the current Redis connection state.', { state }, status.state === state);
+        }
+        out.gauge('dashboard_redis_reconnect_attempt', 'Consecutive failed connection attempts.', {}, status.attempt);
+        out.gauge('dashboard_demo_mode', '1 while serving simulated data.', {}, status.source === 'demo');
+    }
+}
+
+module.exports = { MetricsExporter, CONTENT_TYPE };
@@ -0,0 +1,136 @@
+/**
+ * 🫀 NODE LIVENESS
+ * Tracks when each node was last heard from and moves it through
+ * online → stale → offline → expired on a timer, so state changes happen
+ * even when no messages arrive. Emits 'change' on every transition; expired
+ * nodes are forgotten and left to the owner to evict.
+ *
+ * Ages are measured on `clock`: the wall clock, or the recording's while
+ * replaying (see src/feed-replay.js).
+ */
+
+const { EventEmitter } = require('events');
+
+const LIVENESS_STATES = ['online', 'stale', 'offline', 'expired'];
+
+class NodeLiveness extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {number} options.staleAfterSeconds
+     * @param {number} options.offlineAfterSeconds
+     * @param {number} options.expireAfterSeconds - eviction TTL
+     * @param {number} options.checkIntervalSeconds
+     * @param {function(): number} [options.clock] - epoch ms now, Date.now by default
+     */
+    constructor(options) {
+        super();
+        this.options = options;
+        this.clock = options.clock || Date.now;
+        this.nodes = new Map();   // nodeId -> { state, lastSeen }
+        this.timer = null;
+        this.pausedAt = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            this.evaluate();
+        }, this.options.checkIntervalSeconds * 1000);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Stop aging nodes while the feed itself is down: silence then says
+     * nothing about the nodes. resume() shifts every lastSeen forward by the
+     * length of the pause.
+     */
+    pause(time = this.clock()) {
+        if (this.pausedAt !== null) return;
+        this.pausedAt = time;
+        this.stop();
+    }
+
+    resume(time = this.clock()) {
+        if (this.pausedAt === null) return;
+        const pausedMs = time - this.pausedAt;
+        for (const entry of this.nodes.values()) {
+            entry.lastSeen += pausedMs;
+        }
+        this.pausedAt = null;
+        this.start();
+    }
+
+    /**
+     * Drop a node without emitting a transition.
+     */
+    forget(nodeId) {
+        this.nodes.delete(nodeId);
+    }
+
+    /**
+     * Record that a node was heard from.
+     */
+    touch(nodeId, time = this.clock()) {
+        const lastSeen = new Date(time).getTime();
+        const entry = this.nodes.get(nodeId);
+
+        if (!entry) {
+            this.nodes.set(nodeId, { state: null, lastSeen });
+            this.transition(nodeId, this.nodes.get(nodeId), 'online');
+            return;
+        }
+
+        entry.lastSeen = Math.max(entry.lastSeen, lastSeen);
+        this.transition(nodeId, entry, this.classify(this.clock() - entry.lastSeen));
+    }
+
+    classify(ageMs) {
+        const ageSeconds = ageMs / 1000;
+        if (ageSeconds >= this.options.expireAfterSeconds) return 'expired';
+        if (ageSeconds >= this.options.offlineAfterSeconds) return 'offline';
+        if (ageSeconds >= this.options.staleAfterSeconds) return 'stale';
+        return 'online';
+    }
+
+    evaluate(now = this.clock()) {
+        for (const [nodeId, entry] of Array.from(this.nodes)) {
+            this.transition(nodeId, entry, this.classify(now - entry.lastSeen));
+            if (entry.state === 'expired') {
+                this.nodes.delete(nodeId);
+            }
+        }
+    }
+
+    transition(nodeId, entry, state) {
+        if (entry.state === state) return;
+
+        const previousState = entry.state;
+        entry.state = state;
+        this.emit('change', {
+            nodeId,
+            state,
+            previousState,
+            lastSeen: new Date(entry.lastSeen).toISOString()
+        });
+    }
+
+    stateOf(nodeId) {
+        const entry = this.nodes.get(nodeId);
+        return entry ? entry.state : null;
+    }
+
+    snapshot() {
+        const nodes = {};
+        for (const [nodeId, entry] of this.nodes) {
+            nodes[nodeId] = { state: entry.state, lastSeen: new Date(entry.lastSeen).toISOString() };
+        }
+        return nodes;
+    }
+}
+
+module.exports = { NodeLiveness, LIVENESS_STATES };
@@ -0,0 +1,235 @@
+/**
+ * 📣 ALERT NOTIFIER
+ * Routes firing and resolved alerts from the AlertEngine to notification
+ * sinks, with per-route grouping, deduplication, rate limiting and retries.
+ *
+ * Route shape:
+ *   {
+ *     name: 'oncall',
+ *     match: { severity: 'critical' },      // alert fields or labels; string or array values
+ *     states: ['firing', 'resolved'],
+ *     groupBy: ['rule'],                    // alerts sharing these values go out together
+ *     groupWaitSeconds: 10,                 // how long to collect a group before sending
+ *     repeatIntervalSeconds: 3600,          // suppress repeat firing notices for the same alert
+ *     maxPerMinute: 10,                     // notifications beyond this are dropped
+ *     sink: { type: 'webhook' | 'email' | 'command', ... }
+ *   }
+ */
+
+const WebhookSink = require('./webhook-sink');
+const EmailSink = require('./email-sink');
+const CommandSink = require('./command-sink');
+
+const SINK_TYPES = {
+    webhook: WebhookSink,
+    email: EmailSink,
+    command: CommandSink
+};
+
+const ROUTE_DEFAULTS = {
+    match: null,
+    states: ['firing', 'resolved'],
+    groupBy: ['rule'],
+    groupWaitSeconds: 10,
+    repeatIntervalSeconds: 3600,
+    maxPerMinute: 10
+};
+
+function createSink(sinkConfig) {
+    const Sink = SINK_TYPES[sinkConfig && sinkConfig.type];
+    if (!Sink) {
+        throw new Error(`Unknown notification sink type: ${sinkConfig && sinkConfig.type}`);
+    }
+    return new Sink(sinkConfig);
+}
+
+class AlertNotifier {
+    /**
+     * @param {object} options - the `notifications` config section
+     * @param {object[]} options.routes
+     * @param {object} options.retry - { attempts, initialDelayMs, maxDelayMs }
+     */
+    constructor({ routes = [], retry = {} } = {}) {
+        this.retry = { attempts: 5, initialDelayMs: 1000, maxDelayMs: 60000, ...retry };
+        this.timers = new Set();
+
+        this.routes = routes.map((route, index) => ({
+            ...ROUTE_DEFAULTS,
+            name: `route-${index + 1}`,
+            ...route,
+            sink: createSink(route.sink),
+            groups: new Map(),          // groupKey -> Map('alertId:state' -> alert)
+            lastNotified: new Map(),    // alertId -> time of last firing notice delivered
+            outstanding: new Set(),     // alertIds with a firing notice queued or being delivered
+            sentTimes: [],              // send times in the last minute, for rate limiting
+            stats: { sent: 0, failed: 0, retried: 0, deduplicated: 0, rateLimited: 0 }
+        }));
+    }
+
+    /**
+     * Feed every alert state change in; only matching firing/resolved ones are sent.
+     */
+    notify(alert) {
+        for (const route of this.routes) {
+            if (!route.states.includes(alert.state) || !this.matches(route, alert)) continue;
+            if (this.isDuplicate(route, alert)) {
+                route.stats.deduplicated++;
+                continue;
+            }
+
+            const groupKey = route.groupBy.map(key => this.field(alert, key) ?? '-').join('|') || 'all';
+            if (!route.groups.has(groupKey)) {
+                route.groups.set(groupKey, new Map());
+                this.schedule(route.groupWaitSeconds * 1000, () => this.flush(route, groupKey));
+            }
+            // Firing and resolved are kept apart so a quick flap reports both;
+            // re-adding moves the entry to the end so the latest state goes last
+            const group = route.groups.get(groupKey);
+            const entryKey = `${alert.id}:${alert.state}`;
+            group.delete(entryKey);
+            group.set(entryKey, alert);
+            if (alert.state === 'firing') route.outstanding.add(alert.id);
+        }
+    }
+
+    field(alert, key) {
+        return key in alert ? alert[key] : alert.labels[key];
+    }
+
+    matches(route, alert) {
+        if (!route.match) return true;
+        return Object.entries(route.match).every(([key, expected]) => {
+            const allowed = Array.isArray(expected) ? expected : [expected];
+            return allowed.includes(this.field(alert, key));
+        });
+    }
+
+    /**
+     * A firing alert is only re-sent after repeatIntervalSeconds; a resolved
+     * notice is only sent if this route announced the alert firing, or is
+     * about to. Nothing is recorded here: a notice only counts once delivered.
+     */
+    isDuplicate(route, alert) {
+        const last = route.lastNotified.get(alert.id);
+
+        if (alert.state === 'firing') {
+            return route.outstanding.has(alert.id) ||
+                (last !== undefined && Date.now() - last < route.repeatIntervalSeconds * 1000);
+        }
+
+        return route.states.includes('firing') && last === undefined && !route.outstanding.has(alert.id);
+    }
+
+    // After delivery, in group order, so a fire then resolve leaves nothing behind
+    recordDelivered(route, alerts) {
+        const now = Date.now();
+        for (const alert of alerts) {
+            if (alert.state === 'firing') {
+                route.outstanding.delete(alert.id);
+                route.lastNotified.set(alert.id, now);
+            } else {
+                route.lastNotified.delete(alert.id);
+            }
+        }
+    }
+
+    // Dropped or failed: the next firing notice goes out rather than being taken as a repeat
+    recordUndelivered(route, alerts) {
+        for (const alert of alerts) {
+            if (alert.state === 'firing') {
+                route.outstanding.delete(alert.id);
+            } else {
+                // The alert did resolve, so firing again is news even though nobody heard
+                route.lastNotified.delete(alert.id);
+            }
+        }
+    }
+
+    flush(route, groupKey) {
+        const alerts = Array.from(route.groups.get(groupKey).values());
+        route.groups.delete(groupKey);
+        if (alerts.length === 0) return;
+
+        const now = Date.now();
+        route.sentTimes = route.sentTimes.filter(time => now - time < 60000);
+        if (route.sentTimes.length >= route.maxPerMinute) {
+            route.stats.rateLimited++;
+            console.warn(`⚠️  Notification route ${route.name} over ${route.maxPerMinute}/min, dropping ${alerts.length} alert(s)`);
+            this.recordUndelivered(route, alerts);
+            return;
+        }
+        route.sentTimes.push(now);
+
+        this.deliver(route, this.buildNotification(route, groupKey, alerts), 0);
+    }
+
+    buildNotification(route, groupKey, alerts) {
+        const firing = alerts.filter(alert => alert.state === 'firing');
+        const resolved = alerts.filter(alert => alert.state === 'resolved');
+        const rules = Array.from(new Set(alerts.map(alert => alert.rule))).join(', ');
+        // The last entry for each alert is its current state
+        const latest = new Map(alerts.map(alert => [alert.id, alert.state]));
+
+        const title = alerts.length === 1
+            ? `${alerts[0].rule} ${alerts[0].state} on ${this.describeSubject(alerts[0])}`
+            : `${firing.length} firing, ${resolved.length} resolved: ${rules}`;
+
+        const text = alerts.map(alert => {
+            const icon = alert.state === 'firing' ? '🔥' : '✅';
+            return `${icon} [${alert.severity}] ${alert.summary} — ${this.describeSubject(alert)}`;
+        }).join('\n');
+
+        return {
+            route: route.name,
+            groupKey,
+            status: Array.from(latest.values()).includes('firing') ? 'firing' : 'resolved',
+            title,
+            text,
+            alerts,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    describeSubject(alert) {
+        const { nodeId, owners, eventId, marketId } = alert.labels;
+        return [nodeId || owners, eventId, marketId].filter(Boolean).join(' / ') || 'system';
+    }
+
+    deliver(route, notification, attempt) {
+        route.sink.send(notification).then(() => {
+            route.stats.sent++;
+            this.recordDelivered(route, notification.alerts);
+        }).catch((error) => {
+            if (attempt + 1 >= this.retry.attempts) {
+                route.stats.failed++;
+                this.recordUndelivered(route, notification.alerts);
+                console.error(`❌ Notification via ${route.sink.name} failed after ${attempt + 1} attempts:`, error.message);
+                return;
+            }
+
+            const delay = Math.min(this.retry.initialDelayMs * 2 ** attempt, this.retry.maxDelayMs);
+            route.stats.retried++;
+            console.warn(`⚠️  Notification via ${route.sink.name} failed (${error.message}), retrying in ${delay}ms`);
+            this.schedule(delay, () => this.deliver(route, notification, attempt + 1));
+        });
+    }
+
+    schedule(delayMs, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    getStats() {
+        return this.routes.map(route => ({ route: route.name, sink: route.sink.name, ...route.stats }));
+    }
+
+    stop() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+    }
+}
+
+module.exports = { AlertNotifier, createSink };
@@ -0,0 +1,47 @@
+/**
+ * 🖥️ COMMAND SINK
+ * Runs a local program per notification. The notification JSON is written to
+ * its stdin and summarized in ALERT_* environment variables. A non-zero exit
+ * counts as a failed delivery.
+ *
+ *   { type: 'command', command: '/usr/local/bin/page-oncall', args: ['--team', 'ops'], timeoutMs: 10000 }
+ */
+
+const { execFile } = require('child_process');
+
+class CommandSink {
+    constructor(options) {
+        if (!options.command) {
+            throw new Error('Command sink needs a command');
+        }
+        this.options = { args: [], timeoutMs: 10000, ...options };
+        this.name = `command ${this.options.command}`;
+    }
+
+    send(notification) {
+        const { command, args, timeoutMs } = this.options;
+        const env = {
+            ...process.env,
+            ALERT_STATUS: notification.status,
+            ALERT_TITLE: notification.title,
+            ALERT_ROUTE: notification.route,
+            ALERT_GROUP: notification.groupKey,
+            ALERT_COUNT: String(notification.alerts.length)
+        };
+
+        return new Promise((resolve, reject) => {
+            const child = execFile(command, args, { env, timeout: timeoutMs }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = stderr.trim() || error.message;
+                    reject(new Error(`exit ${error.code ?? error.signal}: ${detail}`));
+                } else {
+                    resolve();
+                }
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(notification));
+        });
+    }
+}
+
+module.exports = CommandSink;
@@ -0,0 +1,37 @@
+/**
+ * 📧 EMAIL SINK
+ * Sends notifications over SMTP with nodemailer.
+ *
+ *   { type: 'email', host: 'smtp.example.com', port: 587, secure: false,
+ *     auth: { user: '...', pass: '...' },
+ *     from: 'dashboard@example.com', to: ['oncall@example.com'],
+ *     subject: '[{{status}}] {{title}}' }
+ */
+
+const nodemailer = require('nodemailer');
+const { renderString } = require('./template');
+
+class EmailSink {
+    constructor(options) {
+        if (!options.host || !options.to || !options.from) {
+            throw new Error('Email sink needs host, from and to');
+        }
+        this.options = { port: 25, secure: false, subject: '[{{status}}] {{title}}', ...options };
+        this.name = `email ${this.options.host}:${this.options.port}`;
+
+        const { host, port, secure, auth, ignoreTLS } = this.options;
+        this.transport = nodemailer.createTransport({ host, port, secure, auth, ignoreTLS });
+    }
+
+    async send(notification) {
+        const { from, to, subject } = this.options;
+        await this.transport.sendMail({
+            from,
+            to,
+            subject: renderString(subject, notification),
+            text: notification.text
+        });
+    }
+}
+
+module.exports = EmailSink;
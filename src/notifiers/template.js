@@ -0,0 +1,46 @@
+/**
+ * 🧩 NOTIFICATION TEMPLATES
+ * `{{path}}` placeholders over a notification object, e.g. `{{title}}`,
+ * `{{alerts.0.labels.nodeId}}`. In JSON templates a string that is exactly
+ * one placeholder is replaced by the raw value, so `"alerts": "{{alerts}}"`
+ * embeds the alert array rather than its string form.
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function lookup(context, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function renderString(template, context) {
+    return template.replace(PLACEHOLDER, (match, dottedPath) => {
+        const value = lookup(context, dottedPath);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+function renderJson(template, context) {
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        if (whole) {
+            const value = lookup(context, whole[1]);
+            return value === undefined ? null : value;
+        }
+        return renderString(template, context);
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderJson(item, context));
+    }
+    if (template && typeof template === 'object') {
+        const result = {};
+        for (const [key, value] of Object.entries(template)) {
+            result[key] = renderJson(value, context);
+        }
+        return result;
+    }
+    return template;
+}
+
+module.exports = { renderString, renderJson };
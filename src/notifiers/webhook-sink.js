@@ -0,0 +1,58 @@
+/**
+ * 🪝 WEBHOOK SINK
+ * POSTs a notification as JSON. The body defaults to the whole notification
+ * and can be shaped with a `template` (see ./template.js).
+ *
+ *   { type: 'webhook', url: 'https://hooks.example/abc', method: 'POST',
+ *     headers: { Authorization: 'Bearer ...' }, timeoutMs: 5000,
+ *     template: { text: '{{title}}', alerts: '{{alerts}}' } }
+ */
+
+const http = require('http');
+const https = require('https');
+const { renderJson } = require('./template');
+
+class WebhookSink {
+    constructor(options) {
+        if (!options.url) {
+            throw new Error('Webhook sink needs a url');
+        }
+        this.options = { method: 'POST', headers: {}, timeoutMs: 5000, template: null, ...options };
+        this.name = `webhook ${new URL(this.options.url).host}`;
+    }
+
+    send(notification) {
+        const { url, method, headers, timeoutMs, template } = this.options;
+        const body = JSON.stringify(template ? renderJson(template, notification) : notification);
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(target, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...headers
+                },
+                timeout: timeoutMs
+            }, (res) => {
+                // Drain the response so the socket is released
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+module.exports = WebhookSink;
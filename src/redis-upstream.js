@@ -0,0 +1,189 @@
+/**
+ * 🔌 REDIS UPSTREAM
+ * The command and subscriber connections to the monitoring Redis, kept open
+ * with exponential-backoff reconnection for as long as the server runs.
+ *
+ * Subscriptions are set up once, on the first connect; node-redis re-issues
+ * them as part of every reconnect handshake, so the feed is whole again by
+ * the time the connection reports ready. Emits 'state' on every change:
+ *
+ *   connecting → connected ⇄ reconnecting     (stopped on shutdown)
+ *
+ * `connecting` means Redis has never been reached; `reconnecting` means it
+ * was, and cached data is as of `disconnectedAt`. Errors, connects and lost
+ * connections go to the event log (src/event-log.js).
+ */
+
+const { EventEmitter } = require('events');
+const redis = require('redis');
+const { buildRedisOptions, describeRedisUrl } = require('./config');
+
+class RedisUpstream extends EventEmitter {
+    /**
+     * @param {object} options - the `redis` config section
+     * @param {EventLog} events
+     */
+    constructor(options, events) {
+        super();
+        this.options = options;
+        this.events = events;
+        this.client = null;
+        this.subscriber = null;
+        this.subscribe = null;
+        this.subscribed = false;
+
+        this.state = 'connecting';
+        this.since = new Date();
+        this.connectedAt = null;
+        this.disconnectedAt = null;
+        this.retries = { client: 0, subscriber: 0 };
+        this.nextRetryAt = null;
+        this.lastError = null;
+    }
+
+    get connected() {
+        return this.state === 'connected';
+    }
+
+    /**
+     * Open both connections without waiting for them; progress is reported
+     * through 'state' events.
+     * @param {function(RedisClient): Promise} subscribe - registers channel
+     *   listeners on the subscriber connection; called once
+     */
+    start(subscribe) {
+        this.subscribe = subscribe;
+        this.client = this.createConnection('client');
+        this.subscriber = this.createConnection('subscriber');
+
+        console.log(`⏳ Connecting to Redis at ${describeRedisUrl(this.options.url)}...`);
+        for (const connection of [this.client, this.subscriber]) {
+            // Only rejects if we give up, i.e. on stop()
+            connection.connect().catch(() => {});
+        }
+    }
+
+    createConnection(name) {
+        const connection = redis.createClient(buildRedisOptions(this.options, {
+            reconnectStrategy: (retries) => this.backoff(name, retries)
+        }));
+
+        connection.on('error', (error) => {
+            if (error.message !== this.lastError) {
+                this.events.record('error', 'redis_error', `❌ Redis ${name} error: ${error.message}`, { connection: name, error: error.message });
+            }
+            this.lastError = error.message;
+            this.updateState();
+        });
+        connection.on('reconnecting', () => this.updateState());
+        connection.on('end', () => this.updateState());
+        connection.on('ready', () => {
+            this.retries[name] = 0;
+            if (name === 'subscriber') {
+                this.handleSubscriberReady();
+            } else {
+                this.updateState();
+            }
+        });
+
+        return connection;
+    }
+
+    /**
+     * reconnectStrategy: milliseconds until the next attempt, doubling from
+     * reconnectInitialDelayMs to reconnectMaxDelayMs with ±20% jitter so a
+     * fleet of dashboards doesn't reconnect in lockstep.
+     */
+    backoff(name, retries) {
+        const { reconnectInitialDelayMs, reconnectMaxDelayMs } = this.options;
+        const delay = Math.min(reconnectMaxDelayMs, reconnectInitialDelayMs * 2 ** retries);
+        const jittered = Math.round(delay * (0.8 + Math.random() * 0.4));
+
+        // Both connections retry in step; report each attempt once
+        const attempt = Math.max(this.retries.client, this.retries.subscriber);
+        this.retries[name] = retries + 1;
+        this.nextRetryAt = new Date(Date.now() + jittered);
+        this.updateState(retries + 1 > attempt);
+        return jittered;
+    }
+
+    async handleSubscriberReady() {
+        if (!this.subscribed) {
+            try {
+                await this.subscribe(this.subscriber);
+                this.subscribed = true;
+            } catch (error) {
+                // The connection dropped mid-way; start clean on the next ready
+                this.events.record('error', 'redis_error', `❌ Failed to set up Redis subscriptions: ${error.message}`, { connection: 'subscriber', error: error.message });
+                await Promise.all([this.subscriber.unsubscribe(), this.subscriber.pUnsubscribe()]).catch(() => {});
+            }
+        } else {
+            console.log('✅ Redis subscriptions restored');
+        }
+        this.updateState();
+    }
+
+    /**
+     * @param {boolean} retrying - a reconnect was just scheduled, so report it
+     *   even when the state name is unchanged
+     */
+    updateState(retrying = false) {
+        if (this.state === 'stopped') return;
+
+        let state;
+        if (this.client.isReady && this.subscriber.isReady && this.subscribed) {
+            state = 'connected';
+        } else {
+            state = this.connectedAt ? 'reconnecting' : 'connecting';
+        }
+        if (state === this.state && !retrying) return;
+
+        const now = new Date();
+        if (state !== this.state) {
+            if (state === 'connected') {
+                this.connectedAt = now;
+                this.nextRetryAt = null;
+                this.lastError = null;
+                this.events.record('info', 'redis_connected', `✅ Connected to Redis at ${describeRedisUrl(this.options.url)}`);
+            } else if (this.state === 'connected') {
+                this.disconnectedAt = now;
+                this.events.record('warn', 'redis_disconnected', '⚠️  Lost connection to Redis, reconnecting...');
+            }
+            this.state = state;
+            this.since = now;
+        }
+        this.emit('state', this.status());
+    }
+
+    status() {
+        const iso = (date) => (date ? date.toISOString() : null);
+        return {
+            state: this.state,
+            since: iso(this.since),
+            connectedAt: iso(this.connectedAt),
+            disconnectedAt: iso(this.disconnectedAt),
+            attempt: Math.max(this.retries.client, this.retries.subscriber),
+            nextRetryAt: this.connected ? null : iso(this.nextRetryAt),
+            error: this.connected ? null : this.lastError
+        };
+    }
+
+    async stop() {
+        this.state = 'stopped';
+        for (const connection of [this.subscriber, this.client]) {
+            if (!connection) continue;
+            try {
+                if (connection.isReady) {
+                    await connection.quit();
+                } else if (connection.isOpen) {
+                    // Still retrying: quit would wait for a connection that may never come
+                    await connection.disconnect();
+                }
+            } catch (error) {
+                console.log('⚠️  Redis connection already closed');
+            }
+        }
+    }
+}
+
+module.exports = RedisUpstream;
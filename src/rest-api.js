@@ -0,0 +1,394 @@
+/**
+ * 🔌 REST API
+ * Read-only JSON endpoints over the dashboard server's in-memory cache.
+ * Ages and `window` are measured from the feed's time, i.e. the recording's
+ * while replaying.
+ *
+ *   GET /api/nodes              ?role=&health=&liveness=&eventId=
+ *   GET /api/nodes/:nodeId
+ *   GET /api/markets            ?nodeId=&role=&health=&eventId=&status=
+ *   GET /api/markets/:eventId
+ *   GET /api/summary
+ *   GET /api/consistency
+ *   GET /api/history            ?nodeId=&from=&to=&window=&step=&metrics=
+ *   GET /api/nodes/:nodeId/history
+ *   GET /api/alerts             ?state=&severity=&rule=
+ *   GET /api/clients
+ *   GET /api/dead-letters       ?producer=&subscription=&limit=
+ *   GET /api/producers
+ *   GET /api/events             ?from=&to=&window=&type=&level=&nodeId=&eventId=&limit=
+ *
+ * Filters accept comma-separated values; `health` is one of
+ * healthy, unhealthy, stale, unknown (see src/shared/node-health.js).
+ * Markets with no status message yet have status null, and carry the
+ * figures from src/shared/market-analytics.js as `analytics`. Dead letters are
+ * feed messages rejected by the schema checks (src/message-schemas.js),
+ * newest first; producers are per-producer accepted/coerced/rejected counts.
+ * Consistency lists events held by several nodes, per-node book counts that
+ * differ from the node's activeMarkets, and recent ownership moves
+ * (src/market-ownership.js). Events are the server's event log
+ * (src/event-log.js), newest first; `level` is the least severe returned.
+ * The summary is open to every role, so per-event detail in it is only
+ * included for callers with orderbooks access.
+ */
+
+const { evaluateNodeHealth } = require('./shared/node-health');
+const { analyzeOrderbook } = require('./shared/market-analytics');
+const { HISTORY_METRICS, parseDuration } = require('./health-history');
+
+class RestApi {
+    constructor(dashboardServer) {
+        this.dashboard = dashboardServer;
+
+        this.routes = [
+            { pattern: /^\/api\/nodes\/?$/, permission: 'health', handler: (params, query) => this.listNodes(query) },
+            { pattern: /^\/api\/nodes\/([^/]+)$/, permission: 'health', handler: (params) => this.getNode(params[0]) },
+            { pattern: /^\/api\/nodes\/([^/]+)\/history$/, permission: 'health', handler: (params, query) => this.getNodeHistory(params[0], query) },
+            { pattern: /^\/api\/markets\/?$/, permission: 'orderbooks', handler: (params, query) => this.listMarkets(query) },
+            { pattern: /^\/api\/markets\/([^/]+)$/, permission: 'orderbooks', handler: (params) => this.getMarket(params[0]) },
+            { pattern: /^\/api\/summary\/?$/, permission: null, handler: (params, query, identity) => this.getSummary(identity) },
+            { pattern: /^\/api\/consistency\/?$/, permission: 'orderbooks', handler: () => [200, this.dashboard.checkConsistency()] },
+            { pattern: /^\/api\/history\/?$/, permission: 'health', handler: (params, query) => this.listHistory(query) },
+            { pattern: /^\/api\/alerts\/?$/, permission: 'alerts', handler: (params, query) => this.listAlerts(query) },
+            { pattern: /^\/api\/clients\/?$/, permission: 'admin', handler: () => [200, this.dashboard.getClientStats()] },
+            { pattern: /^\/api\/dead-letters\/?$/, permission: 'admin', handler: (params, query) => this.listDeadLetters(query) },
+            { pattern: /^\/api\/producers\/?$/, permission: 'admin', handler: () => this.listProducers() },
+            { pattern: /^\/api\/events\/?$/, permission: 'admin', handler: (params, query) => this.listEvents(query) }
+        ];
+    }
+
+    /**
+     * Handle a request under /api/. Always responds.
+     * @param {object} identity - the authenticated caller (see src/auth.js)
+     */
+    handle(req, res, identity) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'GET, HEAD' });
+            return;
+        }
+
+        for (const route of this.routes) {
+            const match = pathname.match(route.pattern);
+            if (!match) continue;
+
+            if (route.permission && !identity.permissions.has(route.permission)) {
+                this.dashboard.audit.record('forbidden', { user: identity.name, role: identity.role, ip: req.socket.remoteAddress, path: pathname });
+                this.sendJson(res, 403, { error: `Requires ${route.permission} access` });
+                return;
+            }
+
+            try {
+                const params = match.slice(1).map(decodeURIComponent);
+                const [status, body] = route.handler(params, searchParams, identity);
+                this.sendJson(res, status, body);
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    this.sendJson(res, 400, { error: error.message });
+                } else if (error instanceof URIError) {
+                    this.sendJson(res, 400, { error: `Malformed URL encoding in ${pathname}` });
+                } else {
+                    console.error(`❌ API error on ${pathname}:`, error.message);
+                    this.sendJson(res, 500, { error: 'Internal Server Error' });
+                }
+            }
+            return;
+        }
+
+        this.sendJson(res, 404, { error: 'Not Found' });
+    }
+
+    sendJson(res, status, body, headers = {}) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    // ---- Filters -------------------------------------------------------------
+
+    parseList(query, name) {
+        const raw = query.get(name);
+        if (!raw) return null;
+        return new Set(raw.split(',').map(value => value.trim()).filter(Boolean));
+    }
+
+    matchesFilter(filter, value) {
+        return !filter || filter.has(value);
+    }
+
+    parseLimit(raw, fallback) {
+        if (!raw) return fallback;
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new RangeError(`Invalid limit: ${raw}`);
+        }
+        return value;
+    }
+
+    /**
+     * Accepts epoch milliseconds or anything Date.parse understands.
+     */
+    parseTime(raw) {
+        if (!raw) return null;
+        const value = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+        if (!Number.isFinite(value)) {
+            throw new RangeError(`Invalid time: ${raw}`);
+        }
+        return value;
+    }
+
+    /**
+     * `window` (e.g. 1h) is shorthand for `from=now-window`; `step`
+     * averages samples into buckets of that duration.
+     */
+    parseHistoryQuery(query) {
+        const now = this.dashboard.feedNow();
+        const windowSeconds = parseDuration(query.get('window'));
+        const from = windowSeconds !== null ? now - windowSeconds * 1000 : this.parseTime(query.get('from'));
+        const to = this.parseTime(query.get('to'));
+        const stepSeconds = parseDuration(query.get('step'));
+
+        const requested = this.parseList(query, 'metrics');
+        const metrics = requested ? HISTORY_METRICS.filter(metric => requested.has(metric)) : HISTORY_METRICS;
+
+        return {
+            from: from === null ? 0 : from,
+            to: to === null ? Infinity : to,
+            stepSeconds: stepSeconds || null,
+            metrics
+        };
+    }
+
+    // ---- Views ---------------------------------------------------------------
+
+    /**
+     * Every node seen on either the health or orderbook channels.
+     */
+    allNodeIds() {
+        return new Set([...this.dashboard.healthData.keys(), ...this.dashboard.orderbooksByNode.keys()]);
+    }
+
+    describeNode(nodeId, now) {
+        const health = this.dashboard.healthData.get(nodeId);
+        const status = evaluateNodeHealth(health, now, this.dashboard.config.health.staleAfterSeconds);
+        const orderbooks = this.dashboard.orderbooksByNode.get(nodeId);
+
+        let metrics = null;
+        if (health) {
+            const { lastUpdate, role, ...rest } = health;
+            metrics = rest;
+        }
+
+        return {
+            nodeId,
+            role: health ? health.role : this.dashboard.roles.resolve(nodeId),
+            health: status.state,
+            isHealthy: status.isHealthy,
+            liveness: this.dashboard.liveness.stateOf(nodeId),
+            ageSeconds: status.ageSeconds === null ? null : Math.round(status.ageSeconds),
+            lastUpdate: health ? health.lastUpdate.toISOString() : null,
+            metrics,
+            markets: orderbooks ? Array.from(orderbooks.keys()) : []
+        };
+    }
+
+    summarizeMarket(market) {
+        if (!market) return null;
+        const { marketId, bestBid, bestAsk, totalOrders, bids = [], asks = [] } = market;
+        return { marketId, bestBid, bestAsk, totalOrders, bidLevels: bids.length, askLevels: asks.length };
+    }
+
+    describeMarket(nodeId, eventId, orderbook, now, { includeLevels = false } = {}) {
+        const node = this.describeNode(nodeId, now);
+        return {
+            eventId,
+            nodeId,
+            role: node.role,
+            nodeHealth: node.health,
+            status: this.dashboard.marketStatus.statusOf(eventId),
+            orphaned: orderbook.orphaned || false,
+            ageSeconds: Math.round((now - orderbook.lastUpdate) / 1000),
+            lastUpdate: orderbook.lastUpdate.toISOString(),
+            marketA: includeLevels ? orderbook.marketA : this.summarizeMarket(orderbook.marketA),
+            marketB: includeLevels ? orderbook.marketB : this.summarizeMarket(orderbook.marketB),
+            analytics: analyzeOrderbook(orderbook, { depthCents: this.dashboard.config.markets.depthCents })
+        };
+    }
+
+    // ---- Handlers (return [status, body]) ------------------------------------
+
+    listNodes(query) {
+        const now = new Date(this.dashboard.feedNow());
+        const roles = this.parseList(query, 'role');
+        const states = this.parseList(query, 'health');
+        const liveness = this.parseList(query, 'liveness');
+        const eventIds = this.parseList(query, 'eventId');
+
+        const nodes = Array.from(this.allNodeIds(), nodeId => this.describeNode(nodeId, now))
+            .filter(node => this.matchesFilter(roles, node.role))
+            .filter(node => this.matchesFilter(states, node.health))
+            .filter(node => this.matchesFilter(liveness, node.liveness))
+            .filter(node => !eventIds || node.markets.some(eventId => eventIds.has(eventId)))
+            .sort((a, b) => this.dashboard.roles.compareNodes(a.nodeId, a.role, b.nodeId, b.role));
+
+        return [200, { count: nodes.length, nodes }];
+    }
+
+    getNode(nodeId) {
+        if (!this.allNodeIds().has(nodeId)) {
+            return [404, { error: `Unknown node: ${nodeId}` }];
+        }
+        return [200, this.describeNode(nodeId, new Date(this.dashboard.feedNow()))];
+    }
+
+    listMarkets(query) {
+        const now = new Date(this.dashboard.feedNow());
+        const nodeIds = this.parseList(query, 'nodeId');
+        const roles = this.parseList(query, 'role');
+        const states = this.parseList(query, 'health');
+        const eventIds = this.parseList(query, 'eventId');
+        const statuses = this.parseList(query, 'status');
+
+        const markets = [];
+        for (const [nodeId, nodeOrderbooks] of this.dashboard.orderbooksByNode) {
+            if (!this.matchesFilter(nodeIds, nodeId)) continue;
+
+            for (const [eventId, orderbook] of nodeOrderbooks) {
+                if (!this.matchesFilter(eventIds, eventId)) continue;
+
+                const market = this.describeMarket(nodeId, eventId, orderbook, now);
+                if (this.matchesFilter(roles, market.role) && this.matchesFilter(states, market.nodeHealth) &&
+                    this.matchesFilter(statuses, market.status)) {
+                    markets.push(market);
+                }
+            }
+        }
+
+        return [200, { count: markets.length, markets }];
+    }
+
+    getMarket(eventId) {
+        const now = new Date(this.dashboard.feedNow());
+        const books = [];
+
+        for (const [nodeId, nodeOrderbooks] of this.dashboard.orderbooksByNode) {
+            const orderbook = nodeOrderbooks.get(eventId);
+            if (orderbook) {
+                books.push(this.describeMarket(nodeId, eventId, orderbook, now, { includeLevels: true }));
+            }
+        }
+
+        // Closed markets have no books left but still have a status history
+        const status = this.dashboard.marketStatus.statusOf(eventId);
+        if (books.length === 0 && status === null) {
+            return [404, { error: `Unknown market: ${eventId}` }];
+        }
+        return [200, {
+            eventId,
+            status,
+            statusHistory: this.dashboard.marketStatus.historyOf(eventId),
+            ownership: this.dashboard.ownership.describe(eventId, this.dashboard.isNodeLive),
+            books
+        }];
+    }
+
+    getNodeHistory(nodeId, query) {
+        if (!this.dashboard.history.series.has(nodeId)) {
+            return [404, { error: `No history for node: ${nodeId}` }];
+        }
+
+        const options = this.parseHistoryQuery(query);
+        return [200, { nodeId, stepSeconds: options.stepSeconds, points: this.dashboard.history.query(nodeId, options) }];
+    }
+
+    listHistory(query) {
+        const options = this.parseHistoryQuery(query);
+        const nodeIds = this.parseList(query, 'nodeId');
+
+        const nodes = {};
+        for (const nodeId of this.dashboard.history.nodeIds()) {
+            if (this.matchesFilter(nodeIds, nodeId)) {
+                nodes[nodeId] = this.dashboard.history.query(nodeId, options);
+            }
+        }
+        return [200, { stepSeconds: options.stepSeconds, metrics: options.metrics, nodes }];
+    }
+
+    listAlerts(query) {
+        const states = this.parseList(query, 'state');
+        const severities = this.parseList(query, 'severity');
+        const rules = this.parseList(query, 'rule');
+
+        const alerts = this.dashboard.alerts.list()
+            .filter(alert => this.matchesFilter(states, alert.state))
+            .filter(alert => this.matchesFilter(severities, alert.severity))
+            .filter(alert => this.matchesFilter(rules, alert.rule));
+
+        return [200, { count: alerts.length, alerts }];
+    }
+
+    listDeadLetters(query) {
+        const { validator } = this.dashboard;
+        const deadLetters = validator.listDeadLetters({
+            producers: this.parseList(query, 'producer'),
+            subscriptions: this.parseList(query, 'subscription'),
+            limit: this.parseLimit(query.get('limit'), 100)
+        });
+        return [200, { count: deadLetters.length, buffered: validator.deadLetters.length, totals: validator.totals, deadLetters }];
+    }
+
+    listProducers() {
+        const { validator } = this.dashboard;
+        return [200, { totals: validator.totals, producers: validator.producerStats() }];
+    }
+
+    listEvents(query) {
+        const { events } = this.dashboard;
+        const windowSeconds = parseDuration(query.get('window'));
+        const entries = events.query({
+            from: windowSeconds !== null ? this.dashboard.feedNow() - windowSeconds * 1000 : this.parseTime(query.get('from')),
+            to: this.parseTime(query.get('to')),
+            types: this.parseList(query, 'type'),
+            level: query.get('level') || 'debug',
+            nodeIds: this.parseList(query, 'nodeId'),
+            eventIds: this.parseList(query, 'eventId'),
+            limit: this.parseLimit(query.get('limit'), 100)
+        });
+        return [200, { count: entries.length, buffered: events.entries.length, events: entries }];
+    }
+
+    getSummary(identity) {
+        const now = new Date(this.dashboard.feedNow());
+        const nodes = Array.from(this.allNodeIds(), nodeId => this.describeNode(nodeId, now));
+
+        const nodesByHealth = {};
+        for (const node of nodes) {
+            nodesByHealth[node.health] = (nodesByHealth[node.health] || 0) + 1;
+        }
+
+        let activeMarkets = 0;
+        for (const nodeOrderbooks of this.dashboard.orderbooksByNode.values()) {
+            activeMarkets += nodeOrderbooks.size;
+        }
+
+        return [200, {
+            totalNodes: nodes.length,
+            healthyNodes: nodesByHealth.healthy || 0,
+            nodesByHealth,
+            nodesByRole: Object.fromEntries(this.dashboard.roles.countByRole(nodes.map(node => node.role))),
+            activeMarkets,
+            totalMarkets: this.dashboard.totalMarkets || null,
+            recentlyClosed: identity.permissions.has('orderbooks') ? this.dashboard.marketStatus.recentlyClosed() : undefined,
+            upstream: this.dashboard.upstreamStatus(),
+            replay: this.dashboard.replay ? this.dashboard.replay.status() : null,
+            validation: this.dashboard.validator.totals,
+            generatedAt: now.toISOString()
+        }];
+    }
+}
+
+module.exports = RestApi;
@@ -0,0 +1,122 @@
+/**
+ * 🎯 CLIENT SUBSCRIPTION
+ * What one WebSocket client wants to receive: node ids, roles, event ids and
+ * message types, each a list of patterns where `*` and `?` are wildcards.
+ * An empty list means "everything". A message passes when every dimension
+ * it carries matches; dimensions a message doesn't carry (e.g. the event of
+ * a health update) are not filtered on.
+ *
+ * The server filters what it sends with it; the dashboard page (where this is
+ * window.Subscriptions) uses it to drop what a narrower filter excludes.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Subscriptions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DIMENSIONS = ['nodes', 'roles', 'events', 'types'];
+    const MAX_PATTERNS = 100;
+    const MAX_PATTERN_LENGTH = 200;
+
+    function compilePattern(pattern) {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    class ClientSubscription {
+        constructor(filters = {}) {
+            this.patterns = {};
+            this.matchers = {};
+            for (const dimension of DIMENSIONS) {
+                this.patterns[dimension] = new Set();
+                this.matchers[dimension] = [];
+            }
+            this.update('subscribe', filters);
+        }
+
+        /**
+         * Filters from a WebSocket URL query, e.g. ?nodes=10.0.*&types=health_update,alert
+         */
+        static fromQuery(searchParams) {
+            const filters = {};
+            for (const dimension of DIMENSIONS) {
+                const raw = searchParams.get(dimension);
+                if (raw) filters[dimension] = raw.split(',');
+            }
+            return new ClientSubscription(filters);
+        }
+
+        /**
+         * @param {'subscribe'|'unsubscribe'|'replace'} action
+         * @param {object} filters - { nodes, roles, events, types } pattern arrays
+         */
+        update(action, filters) {
+            for (const dimension of DIMENSIONS) {
+                const value = filters[dimension];
+                if (value !== undefined && (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string'))) {
+                    throw new RangeError(`${dimension} must be an array of strings`);
+                }
+            }
+
+            // Work on copies so a rejected update leaves the subscription as it was
+            const next = {};
+            for (const dimension of DIMENSIONS) {
+                const patterns = (filters[dimension] || []).map(pattern => pattern.trim()).filter(Boolean);
+                const current = new Set(action === 'replace' ? [] : this.patterns[dimension]);
+
+                for (const pattern of patterns) {
+                    if (pattern.length > MAX_PATTERN_LENGTH) {
+                        throw new RangeError(`${dimension} patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+                    }
+                    if (action === 'unsubscribe') current.delete(pattern);
+                    else current.add(pattern);
+                }
+                if (current.size > MAX_PATTERNS) {
+                    throw new RangeError(`At most ${MAX_PATTERNS} ${dimension} patterns per client`);
+                }
+                next[dimension] = current;
+            }
+
+            for (const dimension of DIMENSIONS) {
+                this.patterns[dimension] = next[dimension];
+                this.matchers[dimension] = Array.from(next[dimension], compilePattern);
+            }
+        }
+
+        matchesDimension(dimension, value) {
+            const matchers = this.matchers[dimension];
+            if (matchers.length === 0 || value === undefined || value === null) return true;
+            return matchers.some(matcher => matcher.test(String(value)));
+        }
+
+        /**
+         * @param {object} scope - { type, nodeId, role, eventId }; missing fields match
+         */
+        matches({ type, nodeId, role, eventId }) {
+            return this.matchesDimension('types', type) &&
+                this.matchesDimension('nodes', nodeId) &&
+                this.matchesDimension('roles', role) &&
+                this.matchesDimension('events', eventId);
+        }
+
+        isEmpty() {
+            return DIMENSIONS.every(dimension => this.patterns[dimension].size === 0);
+        }
+
+        toJSON() {
+            const filters = {};
+            for (const dimension of DIMENSIONS) {
+                filters[dimension] = Array.from(this.patterns[dimension]);
+            }
+            return filters;
+        }
+    }
+
+    return { ClientSubscription, DIMENSIONS };
+}));
@@ -0,0 +1,132 @@
+/**
+ * 📐 MARKET ANALYTICS
+ * Per-book figures for cent-priced binary markets, shared by the alert
+ * engine, console monitor and dashboard page (exposed in browsers as
+ * window.MarketAnalytics).
+ *
+ * Per leg (YES or NO), prices in cents and quantities in shares:
+ *   spread      best ask - best bid
+ *   mid         (best bid + best ask) / 2
+ *   microprice  mid weighted by the size at the touch, leaning towards the
+ *               side with less size: (bid * askQty + ask * bidQty) / (bidQty + askQty)
+ *   depth       shares resting within depthCents of the best price, per side
+ *   imbalance   (bidDepth - askDepth) / (bidDepth + askDepth), -1 (all asks) to 1 (all bids)
+ *   notional    dollars resting on each side, price * quantity / 100
+ *
+ * Per event, the YES/NO complement: a YES and a NO share together pay out
+ * 100¢, so best bids summing over 100 (sell both for more than they pay) or
+ * best asks summing under 100 (buy both for less) is an arbitrage, and
+ * usually a sign that one leg's book is stale or crossed.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MarketAnalytics = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const PAYOUT_CENTS = 100;
+    const DEFAULT_DEPTH_CENTS = 5;
+
+    // Published best prices, falling back to the levels
+    function bestPrice(market, side) {
+        const field = side === 'bids' ? market.bestBid : market.bestAsk;
+        if (typeof field === 'number' && Number.isFinite(field)) return field;
+
+        const levels = market[side] || [];
+        if (levels.length === 0) return null;
+        const better = side === 'bids' ? Math.max : Math.min;
+        return levels.reduce((best, level) => better(best, level.price), levels[0].price);
+    }
+
+    function sizeAt(levels, price) {
+        return levels.reduce((sum, level) => (level.price === price ? sum + level.quantity : sum), 0);
+    }
+
+    /**
+     * @param {object} market - one leg: { bids, asks, bestBid, bestAsk }
+     * @param {object} [options]
+     * @param {number} [options.depthCents] - window from the best price counted as depth
+     * @returns {object} figures, null where a side needed for them is empty
+     */
+    function analyzeMarket(market, { depthCents = DEFAULT_DEPTH_CENTS } = {}) {
+        const bids = market.bids || [];
+        const asks = market.asks || [];
+        const bestBid = bestPrice(market, 'bids');
+        const bestAsk = bestPrice(market, 'asks');
+        const twoSided = bestBid !== null && bestAsk !== null;
+
+        const bidDepth = bestBid === null ? 0 : bids
+            .filter(level => level.price >= bestBid - depthCents)
+            .reduce((sum, level) => sum + level.quantity, 0);
+        const askDepth = bestAsk === null ? 0 : asks
+            .filter(level => level.price <= bestAsk + depthCents)
+            .reduce((sum, level) => sum + level.quantity, 0);
+
+        let microprice = null;
+        if (twoSided) {
+            const bidSize = sizeAt(bids, bestBid);
+            const askSize = sizeAt(asks, bestAsk);
+            microprice = bidSize + askSize > 0
+                ? (bestBid * askSize + bestAsk * bidSize) / (bidSize + askSize)
+                : (bestBid + bestAsk) / 2;
+        }
+
+        const bidNotional = bids.reduce((sum, level) => sum + level.price * level.quantity, 0) / PAYOUT_CENTS;
+        const askNotional = asks.reduce((sum, level) => sum + level.price * level.quantity, 0) / PAYOUT_CENTS;
+
+        return {
+            bestBid,
+            bestAsk,
+            spread: twoSided ? bestAsk - bestBid : null,
+            mid: twoSided ? (bestBid + bestAsk) / 2 : null,
+            microprice,
+            depthCents,
+            bidDepth,
+            askDepth,
+            imbalance: bidDepth + askDepth > 0 ? (bidDepth - askDepth) / (bidDepth + askDepth) : null,
+            bidNotional,
+            askNotional,
+            notional: bidNotional + askNotional
+        };
+    }
+
+    /**
+     * YES/NO complement check between the two legs' analyses.
+     * @returns {{ bidSum, askSum, bidEdge, askEdge, arbitrage: boolean }}
+     *          edges are the cents on offer (positive means arbitrage), null when a side is empty
+     */
+    function complementCheck(a, b) {
+        const bidSum = a.bestBid !== null && b.bestBid !== null ? a.bestBid + b.bestBid : null;
+        const askSum = a.bestAsk !== null && b.bestAsk !== null ? a.bestAsk + b.bestAsk : null;
+        const bidEdge = bidSum === null ? null : bidSum - PAYOUT_CENTS;
+        const askEdge = askSum === null ? null : PAYOUT_CENTS - askSum;
+
+        return {
+            bidSum,
+            askSum,
+            bidEdge,
+            askEdge,
+            arbitrage: bidEdge > 0 || askEdge > 0
+        };
+    }
+
+    /**
+     * Both legs of an event's book and their complement.
+     * @param {object} orderbook - { marketA, marketB }
+     * @returns {{ marketA, marketB, complement, notional }}
+     */
+    function analyzeOrderbook(orderbook, options) {
+        const marketA = analyzeMarket(orderbook.marketA || {}, options);
+        const marketB = analyzeMarket(orderbook.marketB || {}, options);
+        return {
+            marketA,
+            marketB,
+            complement: complementCheck(marketA, marketB),
+            notional: marketA.notional + marketB.notional
+        };
+    }
+
+    return { PAYOUT_CENTS, DEFAULT_DEPTH_CENTS, analyzeMarket, complementCheck, analyzeOrderbook };
+}));
@@ -0,0 +1,422 @@
+/**
+ * 🎭 MARKET SIMULATOR
+ * Generates a cluster's feed for demo mode and tests: health from N nodes,
+ * YES/NO books for M events, market status changes and discovery counts.
+ * Shared by the server's demo mode, the page's offline demo and
+ * src/simulator.js, which publishes into a local Redis (exposed in browsers
+ * as window.MarketSimulator).
+ *
+ * tick(now) returns the messages a real cluster would have published since
+ * the last tick, as { subscription, channel, message } (the shape of a
+ * recording line, see src/feed-recorder.js). The first tick publishes the
+ * whole state.
+ *
+ * Books move around a per-event fair YES price (cents) with the NO book
+ * priced around its complement, 100 - fair. Each tick a book may gain
+ * levels, lose them to cancels and partial fills, and have levels the fair
+ * price moved through taken out, so bids always stay below asks. Nodes fail
+ * (go silent) and recover; after `failoverSeconds` their events move to a
+ * live node. Markets halt and reopen, or close and are replaced by new ones.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MarketSimulator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_CHANNELS = {
+        metrics: 'metrics:*',
+        orderbooks: 'orderbooks',
+        marketStatus: 'market_status:*',
+        marketDiscovery: 'market_discovery'
+    };
+
+    const DEFAULT_SCENARIO = {
+        // Same run every time when set
+        seed: null,
+        nodes: 3,
+        events: 4,
+        tickMs: 1000,
+        healthIntervalMs: 5000,
+        discoveryIntervalMs: 30000,
+        // Price levels per side, and the fair price's random walk per tick (cents)
+        levels: 5,
+        volatility: 0.8,
+        // Chance per tick that a book changes
+        activity: 0.6,
+        // Chances per tick, per node or event
+        nodeFailureRate: 0.0005,
+        marketHaltRate: 0.001,
+        marketCloseRate: 0.0005,
+        nodeDownSeconds: 120,
+        failoverSeconds: 45,
+        haltSeconds: 30,
+        // Markets discovery reports on top of the simulated ones; anything
+        // above 0 shows up as a market total mismatch on the dashboard
+        untrackedMarkets: 0
+    };
+
+    // Node ids start at the default master pattern (127.124), so the first node is a master
+    const NODE_ID_BASE = 124;
+    const MAX_NODES = 100;
+
+    /**
+     * mulberry32: small, fast and good enough for simulated prices.
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function channelFor(pattern, id = '') {
+        return pattern.endsWith('*') ? pattern.slice(0, -1) + id : pattern;
+    }
+
+    // Scenario keys and the smallest value each may take; rates are chances, at most 1
+    const SCENARIO_MINIMUMS = {
+        nodes: 1, events: 0, levels: 0, untrackedMarkets: 0,
+        tickMs: 1, healthIntervalMs: 0, discoveryIntervalMs: 0,
+        volatility: 0, nodeDownSeconds: 0, failoverSeconds: 0, haltSeconds: 0
+    };
+    const SCENARIO_RATES = ['activity', 'nodeFailureRate', 'marketHaltRate', 'marketCloseRate'];
+    const SCENARIO_COUNTS = ['nodes', 'events', 'levels', 'untrackedMarkets'];
+
+    /**
+     * @param {object} scenario - a full scenario (DEFAULT_SCENARIO plus overrides)
+     * @throws {Error} naming every key that is out of range
+     */
+    function validateScenario(scenario) {
+        const problems = [];
+        for (const [key, minimum] of Object.entries(SCENARIO_MINIMUMS)) {
+            const value = scenario[key];
+            const integer = SCENARIO_COUNTS.includes(key);
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < minimum || (integer && !Number.isInteger(value))) {
+                problems.push(`${key} must be ${integer ? 'an integer' : 'a number'} of at least ${minimum} (got ${JSON.stringify(value)})`);
+            }
+        }
+        for (const key of SCENARIO_RATES) {
+            const value = scenario[key];
+            if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+                problems.push(`${key} must be between 0 and 1 (got ${JSON.stringify(value)})`);
+            }
+        }
+        if (scenario.seed !== null && !Number.isFinite(scenario.seed)) {
+            problems.push(`seed must be a number or null (got ${JSON.stringify(scenario.seed)})`);
+        }
+        if (problems.length > 0) {
+            throw new Error(`Invalid simulator scenario: ${problems.join('; ')}`);
+        }
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    class Simulator {
+        /**
+         * @param {object} scenario - overrides of DEFAULT_SCENARIO
+         * @param {object} channels - the `channels` config section
+         */
+        constructor(scenario = {}, channels = DEFAULT_CHANNELS) {
+            this.scenario = { ...DEFAULT_SCENARIO, ...scenario };
+            validateScenario(this.scenario);
+            this.channels = channels;
+            const seed = this.scenario.seed === null ? Math.floor(Math.random() * 4294967296) : this.scenario.seed;
+            this.random = createRandom(seed);
+
+            this.nodes = [];
+            for (let i = 0; i < Math.min(this.scenario.nodes, MAX_NODES); i++) {
+                this.nodes.push(this.createNode(`100.70.127.${NODE_ID_BASE + i}`));
+            }
+            this.events = [];
+            this.nextEventNumber = 1;
+            for (let i = 0; i < this.scenario.events; i++) {
+                this.events.push(this.createEvent(this.nodes[i % this.nodes.length].id));
+            }
+
+            this.started = false;
+            this.lastDiscoveryAt = 0;
+            this.lastTotalMarkets = null;
+        }
+
+        nodeIds() {
+            return this.nodes.map(node => node.id);
+        }
+
+        createNode(id) {
+            const cpuCores = [4, 8, 16][Math.floor(this.random() * 3)];
+            return {
+                id,
+                cpuCores,
+                cpuBase: 20 + this.random() * 30,
+                cpuUsage: 30,
+                memoryUsage: 40 + this.random() * 20,
+                freeDiskSpaceMB: Math.round(20000 + this.random() * 40000),
+                down: false,
+                downSince: null,
+                downUntil: null,
+                lastHealthAt: 0
+            };
+        }
+
+        createEvent(nodeId) {
+            const id = `SIM_EVENT_${String(this.nextEventNumber++).padStart(3, '0')}`;
+            const fair = 10 + this.random() * 80;
+            const event = {
+                id,
+                nodeId,
+                fair,
+                status: 'OPEN',
+                haltedUntil: null,
+                // Moved to another node; publish even if the book didn't change
+                dirty: false,
+                yes: { bids: new Map(), asks: new Map() },
+                no: { bids: new Map(), asks: new Map() }
+            };
+            for (let i = 0; i < this.scenario.levels; i++) {
+                this.updateBook(event.yes, fair);
+                this.updateBook(event.no, 100 - fair);
+            }
+            return event;
+        }
+
+        /**
+         * @param {number} now - epoch ms
+         * @returns {Array<{subscription: string, channel: string, message: string}>}
+         */
+        tick(now = Date.now()) {
+            const out = [];
+            const timestamp = new Date(now).toISOString();
+            const first = !this.started;
+            this.started = true;
+
+            if (first) {
+                for (const event of this.events) {
+                    this.publish(out, 'marketStatus', event.id, { status: 'OPEN', timestamp });
+                }
+            }
+
+            this.updateNodes(now);
+            this.updateEvents(now, out, timestamp, first);
+
+            for (const node of this.nodes) {
+                if (!node.down && (first || now - node.lastHealthAt >= this.scenario.healthIntervalMs)) {
+                    node.lastHealthAt = now;
+                    this.publish(out, 'metrics', node.id, this.health(node, timestamp));
+                }
+            }
+
+            const totalMarkets = this.events.length + this.scenario.untrackedMarkets;
+            if (totalMarkets !== this.lastTotalMarkets || now - this.lastDiscoveryAt >= this.scenario.discoveryIntervalMs) {
+                this.lastDiscoveryAt = now;
+                this.lastTotalMarkets = totalMarkets;
+                this.publish(out, 'marketDiscovery', '', { totalMarkets, timestamp });
+            }
+
+            return out;
+        }
+
+        updateNodes(now) {
+            const { nodeFailureRate, nodeDownSeconds, failoverSeconds } = this.scenario;
+
+            for (const node of this.nodes) {
+                if (node.down) {
+                    if (now >= node.downUntil) {
+                        node.down = false;
+                        node.lastHealthAt = 0;
+                    } else if (now - node.downSince >= failoverSeconds * 1000) {
+                        this.failOver(node);
+                    }
+                    continue;
+                }
+
+                // Keep at least one node up
+                const othersUp = this.nodes.some(other => other !== node && !other.down);
+                if (othersUp && this.random() < nodeFailureRate) {
+                    node.down = true;
+                    node.downSince = now;
+                    node.downUntil = now + nodeDownSeconds * 1000 * (0.5 + this.random());
+                    continue;
+                }
+
+                // Mean-reverting load with the occasional spike
+                const spike = this.random() < 0.01 ? 40 : 0;
+                node.cpuUsage = clamp(node.cpuUsage + (node.cpuBase - node.cpuUsage) * 0.2 + (this.random() - 0.5) * 8 + spike, 1, 100);
+                node.memoryUsage = clamp(node.memoryUsage + (this.random() - 0.5) * 2, 5, 98);
+                node.freeDiskSpaceMB = Math.max(0, node.freeDiskSpaceMB - Math.round(this.random() * 3));
+            }
+        }
+
+        failOver(node) {
+            const live = this.nodes.filter(other => !other.down);
+            if (live.length === 0) return;
+            for (const event of this.events) {
+                if (event.nodeId === node.id) {
+                    event.nodeId = live[Math.floor(this.random() * live.length)].id;
+                    event.dirty = true;
+                }
+            }
+        }
+
+        updateEvents(now, out, timestamp, first) {
+            const { marketHaltRate, marketCloseRate, haltSeconds, activity, volatility } = this.scenario;
+            const closed = [];
+
+            for (const event of this.events) {
+                const node = this.nodes.find(candidate => candidate.id === event.nodeId);
+                // A silent node publishes nothing, status changes included
+                if (node.down) continue;
+
+                if (event.status === 'HALTED') {
+                    if (now < event.haltedUntil) continue;
+                    event.status = 'OPEN';
+                    this.publish(out, 'marketStatus', event.id, { status: 'OPEN', reason: 'halt lifted', timestamp });
+                } else if (!first && this.random() < marketCloseRate) {
+                    closed.push(event);
+                    this.publish(out, 'marketStatus', event.id, { status: 'CLOSED', reason: 'event resolved', timestamp });
+                    continue;
+                } else if (!first && this.random() < marketHaltRate) {
+                    event.status = 'HALTED';
+                    event.haltedUntil = now + haltSeconds * 1000;
+                    this.publish(out, 'marketStatus', event.id, { status: 'HALTED', reason: 'volatility halt', timestamp });
+                    continue;
+                }
+
+                if (first || event.dirty || this.random() < activity) {
+                    event.fair = clamp(event.fair + this.gaussian() * volatility, 3, 97);
+                    this.updateBook(event.yes, event.fair);
+                    this.updateBook(event.no, 100 - event.fair);
+                    event.dirty = false;
+                    this.publish(out, 'orderbooks', '', this.orderbook(event, timestamp));
+                }
+            }
+
+            // Closed markets are replaced so the cluster keeps its size, on the least busy
+            // live node so recovered nodes fill up again
+            for (const event of closed) {
+                const load = (node) => this.events.filter(other => other.nodeId === node.id).length;
+                const target = this.nodes.filter(node => !node.down).sort((a, b) => load(a) - load(b))[0];
+                const replacement = this.createEvent(target.id);
+                this.events[this.events.indexOf(event)] = replacement;
+                this.publish(out, 'marketStatus', replacement.id, { status: 'OPEN', timestamp });
+                this.publish(out, 'orderbooks', '', this.orderbook(replacement, timestamp));
+            }
+        }
+
+        /**
+         * One step of a book around `fair`: levels the price moved through
+         * are taken out, one may be cancelled or partly filled, new orders
+         * join near the touch, and the far end is trimmed to `levels`.
+         */
+        updateBook(book, fair) {
+            const { levels } = this.scenario;
+            const maxBid = Math.ceil(fair) - 1;
+            const minAsk = Math.floor(fair) + 1;
+
+            for (const price of book.bids.keys()) {
+                if (price > maxBid) book.bids.delete(price);
+            }
+            for (const price of book.asks.keys()) {
+                if (price < minAsk) book.asks.delete(price);
+            }
+
+            for (const [side, touch, direction] of [[book.bids, maxBid, -1], [book.asks, minAsk, 1]]) {
+                if (side.size > 0 && this.random() < 0.3) {
+                    const prices = Array.from(side.keys());
+                    const price = prices[Math.floor(this.random() * prices.length)];
+                    const level = side.get(price);
+                    if (level.count <= 1 || this.random() < 0.5) {
+                        side.delete(price);
+                    } else {
+                        level.count--;
+                        level.quantity = Math.max(50, level.quantity - this.quantity());
+                    }
+                }
+
+                const additions = side.size < 2 ? 2 : (this.random() < 0.5 ? 1 : 0);
+                for (let i = 0; i < additions; i++) {
+                    // Closer to the touch is likelier
+                    const offset = Math.floor(this.random() * this.random() * levels * 2);
+                    const price = clamp(touch + direction * offset, 1, 99);
+                    const level = side.get(price) || { quantity: 0, count: 0 };
+                    level.quantity += this.quantity();
+                    level.count++;
+                    side.set(price, level);
+                }
+
+                const byDistance = Array.from(side.keys()).sort((a, b) => (b - a) * -direction);
+                for (const price of byDistance.slice(levels)) {
+                    side.delete(price);
+                }
+            }
+        }
+
+        quantity() {
+            return 50 * (1 + Math.floor(this.random() * 40));
+        }
+
+        gaussian() {
+            // Box-Muller
+            const u = 1 - this.random();
+            const v = this.random();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+
+        market(book, marketId) {
+            const toLevels = (side) => Array.from(side, ([price, { quantity, count }]) => ({ price, quantity, count }));
+            const bids = toLevels(book.bids).sort((a, b) => b.price - a.price);
+            const asks = toLevels(book.asks).sort((a, b) => a.price - b.price);
+            return {
+                marketId,
+                bids,
+                asks,
+                bestBid: bids.length ? bids[0].price : null,
+                bestAsk: asks.length ? asks[0].price : null,
+                totalOrders: [...bids, ...asks].reduce((sum, level) => sum + level.count, 0)
+            };
+        }
+
+        orderbook(event, timestamp) {
+            return {
+                type: 'orderbook_update',
+                eventId: event.id,
+                nodeId: event.nodeId,
+                marketA: this.market(event.yes, 'YES'),
+                marketB: this.market(event.no, 'NO'),
+                timestamp
+            };
+        }
+
+        health(node, timestamp) {
+            const activeMarkets = this.events.filter(event => event.nodeId === node.id).length;
+            return {
+                cpuUsage: Math.round(node.cpuUsage * 10) / 10,
+                memoryUsage: Math.round(node.memoryUsage * 10) / 10,
+                activeMarkets,
+                cpuCores: node.cpuCores,
+                loadAverage: Math.round(node.cpuUsage / 100 * node.cpuCores * 100) / 100,
+                freeDiskSpaceMB: node.freeDiskSpaceMB,
+                isHealthy: node.cpuUsage < 90 && node.memoryUsage < 90,
+                timestamp
+            };
+        }
+
+        publish(out, subscription, id, payload) {
+            out.push({
+                subscription,
+                channel: channelFor(this.channels[subscription], id),
+                message: JSON.stringify(payload)
+            });
+        }
+    }
+
+    return { DEFAULT_SCENARIO, DEFAULT_CHANNELS, Simulator, channelFor, validateScenario };
+}));
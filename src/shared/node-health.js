@@ -0,0 +1,38 @@
+/**
+ * 💓 NODE HEALTH EVALUATION
+ * The healthy/unhealthy/stale rule shared by the server, REST API, console
+ * monitor and dashboard page (exposed in browsers as window.NodeHealth).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NodeHealth = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const STATES = ['healthy', 'unhealthy', 'stale', 'unknown'];
+
+    /**
+     * @param {object|undefined} health - cached health entry with `lastUpdate` and `isHealthy`
+     * @param {Date|number} now
+     * @param {number} staleAfterSeconds
+     * @returns {{state: string, isHealthy: boolean, ageSeconds: number|null}}
+     */
+    function evaluateNodeHealth(health, now, staleAfterSeconds) {
+        if (!health || !health.lastUpdate) {
+            return { state: 'unknown', isHealthy: false, ageSeconds: null };
+        }
+
+        const ageSeconds = (now - new Date(health.lastUpdate)) / 1000;
+        if (ageSeconds >= staleAfterSeconds) {
+            return { state: 'stale', isHealthy: false, ageSeconds };
+        }
+        if (!health.isHealthy) {
+            return { state: 'unhealthy', isHealthy: false, ageSeconds };
+        }
+        return { state: 'healthy', isHealthy: true, ageSeconds };
+    }
+
+    return { STATES, evaluateNodeHealth };
+}));
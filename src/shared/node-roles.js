@@ -0,0 +1,95 @@
+/**
+ * 🏷️ NODE ROLE CLASSIFICATION
+ * Single source of truth for deciding a node's role (master, worker, ...).
+ * Loaded with require() by the server and console monitor, and as a plain
+ * <script> by the dashboard page (exposed as window.NodeRoles).
+ *
+ * Resolution order for a node:
+ *   1. `role` field in the node's own metrics payload
+ *   2. explicit inventory entry (nodeId → role)
+ *   3. first matching pattern (substring `match` or `regex`)
+ *   4. the default role
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NodeRoles = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_ROLES = ['master', 'standby', 'gateway', 'worker'];
+    const DEFAULT_ROLE = 'worker';
+
+    function normalizeRole(role) {
+        return typeof role === 'string' && role.trim() ? role.trim().toLowerCase() : null;
+    }
+
+    function compilePattern(pattern) {
+        const role = normalizeRole(pattern.role);
+        if (!role) {
+            throw new Error(`Node role pattern is missing a role: ${JSON.stringify(pattern)}`);
+        }
+        if (pattern.regex) {
+            const regex = new RegExp(pattern.regex);
+            return { role, test: nodeId => regex.test(nodeId) };
+        }
+        if (pattern.match) {
+            return { role, test: nodeId => nodeId.includes(pattern.match) };
+        }
+        throw new Error(`Node role pattern needs "match" or "regex": ${JSON.stringify(pattern)}`);
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.roles] - known roles, in display/sort order
+     * @param {object} [options.inventory] - nodeId → role
+     * @param {Array<{role: string, match?: string, regex?: string}>} [options.patterns]
+     * @param {string} [options.defaultRole]
+     */
+    function createRoleResolver({ roles = DEFAULT_ROLES, inventory = {}, patterns = [], defaultRole = DEFAULT_ROLE } = {}) {
+        const order = roles.map(normalizeRole).filter(Boolean);
+        const compiled = patterns.map(compilePattern);
+        const fallback = normalizeRole(defaultRole) || DEFAULT_ROLE;
+
+        function resolve(nodeId, health) {
+            const reported = normalizeRole(health && health.role);
+            if (reported) return reported;
+
+            const listed = normalizeRole(inventory[nodeId]);
+            if (listed) return listed;
+
+            for (const pattern of compiled) {
+                if (pattern.test(nodeId)) return pattern.role;
+            }
+            return fallback;
+        }
+
+        // Unknown roles (e.g. a new role reported by a producer) sort after known ones
+        function rank(role) {
+            const index = order.indexOf(role);
+            return index === -1 ? order.length : index;
+        }
+
+        function compareNodes(nodeIdA, roleA, nodeIdB, roleB) {
+            return rank(roleA) - rank(roleB) || nodeIdA.localeCompare(nodeIdB);
+        }
+
+        /**
+         * Count nodes per role, known roles first in configured order.
+         * @param {Iterable<string>} resolvedRoles
+         * @returns {Array<[string, number]>}
+         */
+        function countByRole(resolvedRoles) {
+            const counts = new Map();
+            for (const role of resolvedRoles) {
+                counts.set(role, (counts.get(role) || 0) + 1);
+            }
+            return Array.from(counts.entries()).sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+        }
+
+        return { roles: order, resolve, rank, compareNodes, countByRole };
+    }
+
+    return { DEFAULT_ROLES, DEFAULT_ROLE, createRoleResolver };
+}));
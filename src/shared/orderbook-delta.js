@@ -0,0 +1,107 @@
+/**
+ * 🔀 ORDERBOOK DELTAS
+ * Per-level diffs between two versions of a cached orderbook, shared by the
+ * server (which computes them) and the dashboard page (which applies them;
+ * exposed in browsers as window.OrderbookDelta).
+ *
+ * A market delta looks like:
+ *   {
+ *     fields: { bestBid: 45, totalOrders: 12 },        // changed scalar fields
+ *     bids: { set: [{ price, quantity, count }], remove: [44] },
+ *     asks: { set: [], remove: [] }
+ *   }
+ * Levels are keyed by price. Clients negotiate deltas by opening the
+ * WebSocket with the PROTOCOL subprotocol; anyone else gets full books.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OrderbookDelta = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const PROTOCOL = 'orderbook-delta.v1';
+    const MARKETS = ['marketA', 'marketB'];
+    const SIDES = ['bids', 'asks'];
+
+    function sameLevel(a, b) {
+        return a.quantity === b.quantity && a.count === b.count;
+    }
+
+    function diffLevels(previous = [], next = []) {
+        const before = new Map(previous.map(level => [level.price, level]));
+        const after = new Map(next.map(level => [level.price, level]));
+        const set = [];
+        const remove = [];
+
+        for (const [price, level] of after) {
+            const old = before.get(price);
+            if (!old || !sameLevel(old, level)) set.push(level);
+        }
+        for (const price of before.keys()) {
+            if (!after.has(price)) remove.push(price);
+        }
+        return { set, remove };
+    }
+
+    function diffMarket(previous, next) {
+        const fields = {};
+        const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+        for (const key of keys) {
+            if (SIDES.includes(key)) continue;
+            if (previous[key] !== next[key]) {
+                fields[key] = next[key] === undefined ? null : next[key];
+            }
+        }
+
+        return {
+            fields,
+            bids: diffLevels(previous.bids, next.bids),
+            asks: diffLevels(previous.asks, next.asks)
+        };
+    }
+
+    /**
+     * @returns {object|null} { marketA, marketB } deltas, or null when the
+     * books can't be diffed (a market appeared, vanished or changed id) and a
+     * snapshot should be sent instead
+     */
+    function diffBook(previous, next) {
+        const delta = {};
+        for (const key of MARKETS) {
+            const before = previous && previous[key];
+            const after = next[key];
+            if (!before || !after || before.marketId !== after.marketId) return null;
+            delta[key] = diffMarket(before, after);
+        }
+        return delta;
+    }
+
+    function applyLevels(levels = [], change, descending) {
+        const byPrice = new Map(levels.map(level => [level.price, level]));
+        for (const price of change.remove) byPrice.delete(price);
+        for (const level of change.set) byPrice.set(level.price, level);
+        return Array.from(byPrice.values()).sort((a, b) => descending ? b.price - a.price : a.price - b.price);
+    }
+
+    function applyMarket(market, delta) {
+        const next = { ...market, ...delta.fields };
+        next.bids = applyLevels(market.bids, delta.bids, true);
+        next.asks = applyLevels(market.asks, delta.asks, false);
+        return next;
+    }
+
+    /**
+     * @returns {object} a new book; the input is left untouched
+     */
+    function applyDelta(book, delta) {
+        const next = { ...book };
+        for (const key of MARKETS) {
+            next[key] = applyMarket(book[key], delta[key]);
+        }
+        return next;
+    }
+
+    return { PROTOCOL, diffBook, applyDelta };
+}));
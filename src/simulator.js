@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * 🎭 FEED SIMULATOR
+ * Publishes a simulated cluster (src/shared/market-simulator.js) into Redis,
+ * so the dashboard server and console monitor can be exercised through
+ * their real subscriptions:
+ *
+ *   npm run simulate -- --redis-url redis://localhost:6379 --sim-nodes 10 --sim-events 50
+ *
+ * Uses the same config as the server (channels, simulator scenario). Only
+ * publishes to a Redis on this machine unless simulator.allowRemote is set.
+ */
+
+const redis = require('redis');
+const { loadConfig, buildRedisOptions, describeRedisUrl } = require('./config');
+const { Simulator } = require('./shared/market-simulator');
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function isLocalRedis(url) {
+    try {
+        return LOCAL_HOSTS.has(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+class SimulatorPublisher {
+    constructor(config) {
+        this.config = config;
+        this.client = null;
+        this.simulator = new Simulator(config.simulator, config.channels);
+        this.timer = null;
+        this.published = 0;
+    }
+
+    async start() {
+        const { url } = this.config.redis;
+        if (!this.config.simulator.allowRemote && !isLocalRedis(url)) {
+            throw new Error(`Refusing to publish simulated data to ${describeRedisUrl(url)}; ` +
+                'use a local Redis or set simulator.allowRemote (--sim-allow-remote)');
+        }
+
+        console.log('\n🎭 FEED SIMULATOR');
+        console.log('=================');
+        this.client = redis.createClient(buildRedisOptions(this.config.redis));
+        this.client.on('error', (err) => {
+            console.error('❌ Redis Error:', err.message);
+        });
+        await this.client.connect();
+        console.log(`✅ Connected to Redis at ${describeRedisUrl(url)}`);
+
+        const { nodes, events, scenario } = this.simulator;
+        console.log(`📤 Publishing ${nodes.length} nodes and ${events.length} events every ${scenario.tickMs}ms (Ctrl+C to stop)\n`);
+        await this.publishTick();
+        this.timer = setInterval(() => {
+            this.publishTick();
+        }, scenario.tickMs);
+
+        process.on('SIGINT', () => this.stop());
+    }
+
+    async publishTick() {
+        const entries = this.simulator.tick();
+        try {
+            await Promise.all(entries.map(({ channel, message }) => this.client.publish(channel, message)));
+            this.published += entries.length;
+        } catch (error) {
+            console.error('❌ Error publishing simulated feed:', error.message);
+        }
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        if (this.client) {
+            await this.client.quit();
+        }
+        console.log(`\n✅ Simulator stopped after publishing ${this.published} messages`);
+        process.exit(0);
+    }
+}
+
+module.exports = SimulatorPublisher;
+
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const publisher = new SimulatorPublisher(config);
+    publisher.start().catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
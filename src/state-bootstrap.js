@@ -0,0 +1,306 @@
+/**
+ * 🧊 STATE BOOTSTRAP
+ * Pub/sub only delivers what happens after we subscribe, so a fresh process
+ * would show nothing until every node and market happens to publish again.
+ * When enabled, the latest health per node and book per event are loaded
+ * from Redis first:
+ *
+ *   - keys or hashes matching `healthKeys` / `orderbookKeys` (the node id is
+ *     the part of the key matching `*`; a hash is read as the payload's
+ *     fields, or as JSON in a single `data`/`payload` field)
+ *   - the newest `streamCount` entries of `healthStream` / `orderbookStream`,
+ *     if producers also append there (health entries need a nodeId field)
+ *
+ * Handoff: subscribe first and hold live messages (FeedHandoff), load the
+ * snapshot, apply it, then replay the held messages, skipping any that are
+ * not newer than the snapshot. Messages are compared by a producer `seq`
+ * when both sides have one, else by `timestamp`; when neither can be told
+ * apart the live message wins.
+ */
+
+const { channelSuffix } = require('./config');
+
+const WRAPPER_FIELDS = ['data', 'payload'];
+
+/**
+ * @returns {{seq?: number, time?: number}} how a payload can be ordered
+ */
+function messageVersion(payload, fallbackTime = null) {
+    const version = {};
+    if (Number.isFinite(payload.seq)) version.seq = payload.seq;
+
+    const time = Date.parse(payload.timestamp || payload.lastUpdate || '');
+    if (Number.isFinite(time)) version.time = time;
+    else if (fallbackTime !== null) version.time = fallbackTime;
+    return version;
+}
+
+/**
+ * Whether `live` supersedes `snapshot`; unknown order counts as newer.
+ */
+function isNewer(live, snapshot) {
+    if (live.seq !== undefined && snapshot.seq !== undefined) return live.seq > snapshot.seq;
+    if (live.time !== undefined && snapshot.time !== undefined) return live.time > snapshot.time;
+    return true;
+}
+
+/**
+ * Hash and stream fields are all strings: unwrap a JSON `data`/`payload`
+ * field, otherwise parse each value that looks like JSON (numbers, booleans).
+ */
+function decodeFields(fields) {
+    const names = Object.keys(fields);
+    if (names.length === 1 && WRAPPER_FIELDS.includes(names[0])) {
+        return JSON.parse(fields[names[0]]);
+    }
+
+    const payload = {};
+    for (const [name, value] of Object.entries(fields)) {
+        try {
+            payload[name] = JSON.parse(value);
+        } catch (error) {
+            payload[name] = value;
+        }
+    }
+    return payload;
+}
+
+function healthKey(nodeId) {
+    return `health:${nodeId}`;
+}
+
+function orderbookKey(nodeId, eventId) {
+    return `orderbook:${nodeId}|${eventId}`;
+}
+
+class StateBootstrap {
+    /**
+     * @param {object} options - the `bootstrap` config section
+     */
+    constructor(options) {
+        this.options = options;
+    }
+
+    get enabled() {
+        return this.options.enabled;
+    }
+
+    /**
+     * Read the latest snapshot per node and per book.
+     * @param {RedisClient} client - a command connection (not the subscriber)
+     * @returns {Promise<{health: Array, orderbooks: Array, versions: Map, skipped: number}>}
+     *   health: [{ nodeId, payload, time }], orderbooks: [{ nodeId, eventId, payload, time }],
+     *   versions: handoff key -> version, for FeedHandoff.release();
+     *   skipped: entries without ids or older than maxAgeSeconds
+     */
+    async load(client) {
+        const { healthKeys, orderbookKeys, healthStream, orderbookStream, timeoutMs } = this.options;
+        const latest = new Map();   // handoff key -> { kind, nodeId, eventId, payload, version }
+        let skipped = 0;
+
+        const offer = (kind, nodeId, payload, fallbackTime) => {
+            const eventId = kind === 'orderbook' ? payload.eventId : undefined;
+            if (!nodeId || (kind === 'orderbook' && !eventId)) {
+                skipped++;
+                return;
+            }
+            const key = kind === 'health' ? healthKey(nodeId) : orderbookKey(nodeId, eventId);
+            const version = messageVersion(payload, fallbackTime);
+            const current = latest.get(key);
+            if (!current || isNewer(version, current.version)) {
+                latest.set(key, { kind, nodeId, eventId, payload, version });
+            }
+        };
+
+        const work = (async () => {
+            if (healthKeys) {
+                for (const [key, payload] of await this.readKeys(client, healthKeys)) {
+                    offer('health', channelSuffix(healthKeys, key), payload, null);
+                }
+            }
+            if (orderbookKeys) {
+                for (const [, payload] of await this.readKeys(client, orderbookKeys)) {
+                    offer('orderbook', payload.nodeId, payload, null);
+                }
+            }
+            if (healthStream) {
+                for (const { id, payload } of await this.readStream(client, healthStream)) {
+                    offer('health', payload.nodeId, payload, Number(id.split('-')[0]));
+                }
+            }
+            if (orderbookStream) {
+                for (const { id, payload } of await this.readStream(client, orderbookStream)) {
+                    offer('orderbook', payload.nodeId, payload, Number(id.split('-')[0]));
+                }
+            }
+        })();
+        // Still settles after a timeout; nobody is waiting for it by then
+        work.catch(() => {});
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+        try {
+            await Promise.race([work, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const cutoff = Date.now() - this.options.maxAgeSeconds * 1000;
+        const result = { health: [], orderbooks: [], versions: new Map(), skipped };
+        for (const [key, entry] of latest) {
+            // Snapshots without any timestamp can't be aged; treat them as current
+            const time = entry.version.time !== undefined ? entry.version.time : Date.now();
+            if (time < cutoff) {
+                result.skipped++;
+                continue;
+            }
+            result.versions.set(key, entry.version);
+            if (entry.kind === 'health') {
+                result.health.push({ nodeId: entry.nodeId, payload: entry.payload, time: new Date(time) });
+            } else {
+                result.orderbooks.push({
+                    nodeId: entry.nodeId,
+                    eventId: entry.eventId,
+                    payload: { type: 'orderbook_update', ...entry.payload },
+                    time: new Date(time)
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Promise<Array<[string, object]>>} [key, payload] for string and hash keys
+     */
+    async readKeys(client, pattern) {
+        const keys = [];
+        for await (const key of client.scanIterator({ MATCH: pattern, COUNT: this.options.scanCount })) {
+            keys.push(key);
+        }
+
+        const entries = [];
+        for (let i = 0; i < keys.length; i += this.options.scanCount) {
+            const batch = keys.slice(i, i + this.options.scanCount);
+            const values = await Promise.all(batch.map(key => this.readKey(client, key)));
+            batch.forEach((key, index) => {
+                if (values[index]) entries.push([key, values[index]]);
+            });
+        }
+        return entries;
+    }
+
+    async readKey(client, key) {
+        try {
+            const type = await client.type(key);
+            if (type === 'string') return JSON.parse(await client.get(key));
+            if (type === 'hash') return decodeFields(await client.hGetAll(key));
+        } catch (error) {
+            console.error(`❌ Bootstrap: unreadable key ${key}:`, error.message);
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Promise<Array<{id: string, payload: object}>>} newest first
+     */
+    async readStream(client, stream) {
+        const entries = await client.xRevRange(stream, '+', '-', { COUNT: this.options.streamCount });
+        const result = [];
+        for (const { id, message } of entries) {
+            try {
+                result.push({ id, payload: decodeFields(message) });
+            } catch (error) {
+                console.error(`❌ Bootstrap: unreadable entry ${stream} ${id}:`, error.message);
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Holds live messages while a bootstrap snapshot is loading.
+ */
+class FeedHandoff {
+    /**
+     * @param {number} maxHeld - beyond this the oldest held messages are dropped
+     */
+    constructor(maxHeld) {
+        this.maxHeld = maxHeld;
+        this.holding = false;
+        this.held = [];
+        this.dropped = 0;
+    }
+
+    hold() {
+        this.holding = true;
+    }
+
+    /**
+     * Apply a live message now, or queue it until release().
+     * @param {function(): string|null} keyOf - the handoff key the message is
+     *   about (see healthKey/orderbookKey); only called when held
+     * @param {string} message - raw JSON as received
+     * @param {function()} apply
+     */
+    deliver(keyOf, message, apply) {
+        if (!this.holding) {
+            apply();
+            return;
+        }
+        this.held.push({ keyOf, message, apply });
+        if (this.held.length > this.maxHeld) {
+            this.held.shift();
+            this.dropped++;
+        }
+    }
+
+    /**
+     * Replay held messages in arrival order, skipping those the snapshot
+     * already supersedes.
+     * @param {Map<string, object>} versions - from StateBootstrap.load()
+     * @returns {{replayed: number, superseded: number, dropped: number}}
+     */
+    release(versions = new Map()) {
+        const held = this.held;
+        const stats = { replayed: 0, superseded: 0, dropped: this.dropped };
+        this.held = [];
+        this.dropped = 0;
+        this.holding = false;
+
+        for (const { keyOf, message, apply } of held) {
+            const key = keyOf();
+            const snapshot = key && versions.get(key);
+            if (snapshot) {
+                let payload = null;
+                try {
+                    payload = JSON.parse(message);
+                } catch (error) {
+                    // Let the handler report it
+                }
+                if (payload && !isNewer(messageVersion(payload), snapshot)) {
+                    stats.superseded++;
+                    continue;
+                }
+            }
+            apply();
+            stats.replayed++;
+        }
+        return stats;
+    }
+}
+
+/**
+ * Handoff key of a raw orderbook message, or null if it can't be parsed.
+ */
+function orderbookKeyOf(message) {
+    try {
+        const { nodeId, eventId } = JSON.parse(message);
+        return nodeId && eventId ? orderbookKey(nodeId, eventId) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { StateBootstrap, FeedHandoff, healthKey, orderbookKeyOf };
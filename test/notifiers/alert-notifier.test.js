@@ -0,0 +1,139 @@
+/**
+ * AlertNotifier routing against an in-memory sink: grouping, deduplication,
+ * rate limiting and retry backoff.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertNotifier } = require('../../src/notifiers/alert-notifier');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function alert(rule, nodeId, state = 'firing') {
+    return { id: `${rule}:node:${nodeId}`, rule, state, severity: 'warning', summary: `${rule} on ${nodeId}`, labels: { nodeId } };
+}
+
+/**
+ * One route with a sink that records what it was sent; `failures` sends
+ * fail before the rest succeed.
+ */
+function createNotifier(route = {}, { failures = 0, retry = {} } = {}) {
+    const notifier = new AlertNotifier({
+        routes: [{ groupWaitSeconds: 0.02, ...route, sink: { type: 'command', command: 'unused' } }],
+        retry: { attempts: 3, initialDelayMs: 20, maxDelayMs: 1000, ...retry }
+    });
+    const sink = { name: 'memory', sent: [], attempts: [] };
+    sink.send = async (notification) => {
+        sink.attempts.push(Date.now());
+        if (sink.attempts.length <= failures) throw new Error('unavailable');
+        sink.sent.push(notification);
+    };
+    notifier.routes[0].sink = sink;
+    return { notifier, sink, stats: () => notifier.getStats()[0] };
+}
+
+test('alerts sharing the groupBy values go out as one notification', async (t) => {
+    const { notifier, sink } = createNotifier();
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1'));
+    notifier.notify(alert('HighCpu', 'n2'));
+    notifier.notify(alert('LowDiskSpace', 'n1'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 2);
+    const cpu = sink.sent.find(notification => notification.groupKey === 'HighCpu');
+    assert.deepEqual(cpu.alerts.map(a => a.labels.nodeId), ['n1', 'n2']);
+    assert.equal(cpu.title, '2 firing, 0 resolved: HighCpu');
+});
+
+test('an alert that fires and resolves within the wait is listed both ways', async (t) => {
+    const { notifier, sink } = createNotifier();
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1', 'firing'));
+    notifier.notify(alert('HighCpu', 'n1', 'resolved'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 1);
+    assert.deepEqual(sink.sent[0].alerts.map(a => a.state), ['firing', 'resolved']);
+    assert.equal(sink.sent[0].status, 'resolved');
+    assert.equal(notifier.routes[0].lastNotified.size, 0);
+});
+
+test('repeat firing notices are suppressed for repeatIntervalSeconds', async (t) => {
+    const { notifier, sink, stats } = createNotifier({ repeatIntervalSeconds: 3600 });
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1'));
+    notifier.notify(alert('HighCpu', 'n1'));
+    await sleep(60);
+    notifier.notify(alert('HighCpu', 'n1'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 1);
+    assert.equal(stats().deduplicated, 2);
+});
+
+test('resolved notices are only sent for alerts the route announced', async (t) => {
+    const { notifier, sink, stats } = createNotifier();
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1', 'resolved'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 0);
+    assert.equal(stats().deduplicated, 1);
+});
+
+test('notifications beyond maxPerMinute are dropped and not taken as sent', async (t) => {
+    const { notifier, sink, stats } = createNotifier({ maxPerMinute: 1 });
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1'));
+    notifier.notify(alert('LowDiskSpace', 'n1'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 1);
+    assert.equal(stats().rateLimited, 1);
+
+    // The dropped alert firing again is not a repeat of anything delivered
+    const dropped = sink.sent[0].groupKey === 'HighCpu' ? 'LowDiskSpace' : 'HighCpu';
+    notifier.routes[0].sentTimes = [];
+    notifier.notify(alert(dropped, 'n1'));
+    await sleep(60);
+    assert.equal(sink.sent.length, 2);
+});
+
+test('failed deliveries are retried with exponential backoff', async (t) => {
+    const { notifier, sink, stats } = createNotifier({}, { failures: 2, retry: { attempts: 3, initialDelayMs: 40 } });
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1'));
+    await sleep(250);
+
+    assert.equal(sink.sent.length, 1);
+    assert.deepEqual({ sent: stats().sent, retried: stats().retried, failed: stats().failed }, { sent: 1, retried: 2, failed: 0 });
+    const [first, second, third] = sink.attempts;
+    assert.ok(second - first >= 35, `first retry after ${second - first}ms`);
+    assert.ok(third - second >= 75, `second retry after ${third - second}ms`);
+});
+
+test('a resolve that never goes out lets the next firing notice through', async (t) => {
+    const { notifier, sink, stats } = createNotifier({ repeatIntervalSeconds: 3600 }, { retry: { attempts: 2, initialDelayMs: 10 } });
+    t.after(() => notifier.stop());
+
+    notifier.notify(alert('HighCpu', 'n1', 'firing'));
+    await sleep(60);
+    sink.send = async () => { throw new Error('unavailable'); };
+    notifier.notify(alert('HighCpu', 'n1', 'resolved'));
+    await sleep(100);
+    assert.equal(stats().failed, 1);
+
+    sink.send = async (notification) => { sink.sent.push(notification); };
+    notifier.notify(alert('HighCpu', 'n1', 'firing'));
+    await sleep(60);
+
+    assert.equal(sink.sent.length, 2);
+    assert.equal(sink.sent[1].status, 'firing');
+});
@@ -0,0 +1,69 @@
+/**
+ * CommandSink against a small local script.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandSink = require('../../src/notifiers/command-sink');
+
+const notification = {
+    route: 'oncall',
+    groupKey: 'HighCpu',
+    status: 'firing',
+    title: 'HighCpu firing on n1',
+    text: '🔥 [critical] cpu high — n1',
+    alerts: [{ id: 'HighCpu:node:n1', rule: 'HighCpu', labels: { nodeId: 'n1' } }],
+    timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+// Writes its stdin and ALERT_* environment to the file named by its first argument
+const RECORD_SCRIPT = `
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+    const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => key.startsWith('ALERT_')));
+    require('fs').writeFileSync(process.argv[2], JSON.stringify({ input: JSON.parse(input), env, args: process.argv.slice(3) }));
+});
+`;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-sink-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('passes the notification on stdin and summarizes it in ALERT_* variables', async (t) => {
+    const dir = tempDir(t);
+    const script = path.join(dir, 'record.js');
+    const output = path.join(dir, 'output.json');
+    fs.writeFileSync(script, RECORD_SCRIPT);
+    const sink = new CommandSink({ command: process.execPath, args: [script, output, '--team', 'ops'] });
+
+    await sink.send(notification);
+
+    const recorded = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepEqual(recorded.input, notification);
+    assert.deepEqual(recorded.args, ['--team', 'ops']);
+    assert.deepEqual(recorded.env, {
+        ALERT_STATUS: 'firing',
+        ALERT_TITLE: 'HighCpu firing on n1',
+        ALERT_ROUTE: 'oncall',
+        ALERT_GROUP: 'HighCpu',
+        ALERT_COUNT: '1'
+    });
+});
+
+test('rejects with the exit code and stderr on a non-zero exit', async () => {
+    const sink = new CommandSink({ command: process.execPath, args: ['-e', 'process.stderr.write("pager down"); process.exit(3)'] });
+
+    await assert.rejects(sink.send(notification), /exit 3: pager down/);
+});
+
+test('rejects when the command runs past its timeout', async () => {
+    const sink = new CommandSink({ command: process.execPath, args: ['-e', 'setTimeout(() => {}, 10000)'], timeoutMs: 200 });
+
+    await assert.rejects(sink.send(notification), /exit SIGTERM/);
+});
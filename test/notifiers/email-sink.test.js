@@ -0,0 +1,110 @@
+/**
+ * EmailSink against a local SMTP catcher.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const EmailSink = require('../../src/notifiers/email-sink');
+
+const notification = {
+    route: 'oncall',
+    groupKey: 'HighCpu',
+    status: 'firing',
+    title: 'HighCpu firing on n1',
+    text: '🔥 [critical] cpu high — n1',
+    alerts: [{ id: 'HighCpu:node:n1', rule: 'HighCpu', labels: { nodeId: 'n1' } }],
+    timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+/**
+ * Just enough SMTP to accept mail: each message is kept as its envelope
+ * and raw DATA. `rejectRecipients` answers RCPT TO with 550.
+ */
+async function smtpCatcher(t, { rejectRecipients = false } = {}) {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;
+        socket.setEncoding('utf8');
+        socket.write('220 catcher ESMTP\r\n');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ ...envelope, data: data.join('\r\n') });
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 catcher\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    socket.write('250 ok\r\n');
+                } else if (command === 'RCPT') {
+                    if (rejectRecipients) {
+                        socket.write('550 no such user\r\n');
+                    } else {
+                        envelope.to.push(line.match(/<(.*)>/)[1]);
+                        socket.write('250 ok\r\n');
+                    }
+                } else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { port: server.address().port, messages };
+}
+
+test('sends the notification text with a templated subject', async (t) => {
+    const { port, messages } = await smtpCatcher(t);
+    const sink = new EmailSink({
+        host: '127.0.0.1',
+        port,
+        ignoreTLS: true,
+        from: 'dashboard@example.com',
+        to: ['oncall@example.com', 'lead@example.com'],
+        subject: '[{{status}}] {{title}} ({{alerts.0.labels.nodeId}})'
+    });
+    t.after(() => sink.transport.close());
+
+    await sink.send(notification);
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].from, 'dashboard@example.com');
+    assert.deepEqual(messages[0].to, ['oncall@example.com', 'lead@example.com']);
+    assert.match(messages[0].data, /^Subject: \[firing\] HighCpu firing on n1 \(n1\)$/m);
+    assert.match(messages[0].data, /cpu high/);
+});
+
+test('rejects when the server refuses the recipients', async (t) => {
+    const { port, messages } = await smtpCatcher(t, { rejectRecipients: true });
+    const sink = new EmailSink({ host: '127.0.0.1', port, ignoreTLS: true, from: 'dashboard@example.com', to: 'oncall@example.com' });
+    t.after(() => sink.transport.close());
+
+    await assert.rejects(sink.send(notification), /550/);
+    assert.equal(messages.length, 0);
+});
@@ -0,0 +1,81 @@
+/**
+ * WebhookSink against a local HTTP listener.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebhookSink = require('../../src/notifiers/webhook-sink');
+
+const notification = {
+    route: 'oncall',
+    groupKey: 'HighCpu',
+    status: 'firing',
+    title: 'HighCpu firing on n1',
+    text: '🔥 [critical] cpu high — n1',
+    alerts: [{ id: 'HighCpu:node:n1', rule: 'HighCpu', labels: { nodeId: 'n1' } }],
+    timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+/**
+ * A listener that answers each request with `respond(req, res, body)`
+ * and keeps what it received.
+ */
+async function listen(t, respond = (req, res) => res.end()) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body });
+            respond(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test('posts the notification as JSON with the configured headers', async (t) => {
+    const { url, received } = await listen(t);
+    const sink = new WebhookSink({ url, headers: { Authorization: 'Bearer secret' } });
+
+    await sink.send(notification);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].method, 'POST');
+    assert.equal(received[0].url, '/hook');
+    assert.equal(received[0].headers['content-type'], 'application/json');
+    assert.equal(received[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(JSON.parse(received[0].body), notification);
+});
+
+test('shapes the body with a template', async (t) => {
+    const { url, received } = await listen(t);
+    const sink = new WebhookSink({ url, template: { text: '[{{status}}] {{title}}', node: '{{alerts.0.labels.nodeId}}', alerts: '{{alerts}}' } });
+
+    await sink.send(notification);
+
+    assert.deepEqual(JSON.parse(received[0].body), {
+        text: '[firing] HighCpu firing on n1',
+        node: 'n1',
+        alerts: notification.alerts
+    });
+});
+
+test('rejects on a non-2xx response', async (t) => {
+    const { url } = await listen(t, (req, res) => {
+        res.statusCode = 503;
+        res.end();
+    });
+    const sink = new WebhookSink({ url });
+
+    await assert.rejects(sink.send(notification), /HTTP 503/);
+});
+
+test('rejects when the listener does not answer in time', async (t) => {
+    const { url } = await listen(t, () => {});
+    const sink = new WebhookSink({ url, timeoutMs: 100 });
+
+    await assert.rejects(sink.send(notification), /timed out after 100ms/);
+});